@@ -0,0 +1,95 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { logger } from './logger.js';
+
+// ============================================
+// Journal of completed actions
+// ============================================
+//
+// Every completed action that actually sent is written here before it is reported (the worker
+// skips dry runs and unsuccessful outcomes like weekly_limit_reached). If the report never reaches
+// worker-report the backend may hand the action out again; the journal lets this worker answer
+// with the original result instead of sending twice, and replays the lost report later.
+// Actions of the same type and agent carrying the same idempotency key (action.idempotency_key
+// or payload.idempotencyKey) count as the same action.
+
+const ACTION_JOURNAL_FILE = process.env.ACTION_JOURNAL_FILE || '.worker-state/action-journal.json';
+const RETENTION_MS = parseInt(process.env.ACTION_JOURNAL_RETENTION_DAYS || '7') * 24 * 60 * 60 * 1000;
+
+// actionId -> { actionId, idempotencyKey, actionType, agentId, completedAt, report, reported }
+let entries = loadEntries();
+
+function loadEntries() {
+  try {
+    const data = JSON.parse(readFileSync(ACTION_JOURNAL_FILE, 'utf8'));
+    return pruneEntries(data, Date.now());
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`[JOURNAL] Could not read ${ACTION_JOURNAL_FILE}, starting with an empty journal:`, error.message);
+    }
+    return {};
+  }
+}
+
+function saveEntries() {
+  try {
+    mkdirSync(dirname(ACTION_JOURNAL_FILE), { recursive: true });
+    writeFileSync(ACTION_JOURNAL_FILE, JSON.stringify(entries));
+  } catch (error) {
+    logger.warn('[JOURNAL] Failed to persist the action journal:', error.message);
+  }
+}
+
+function pruneEntries(data, now) {
+  const pruned = {};
+  for (const [actionId, entry] of Object.entries(data || {})) {
+    if (now - entry.completedAt < RETENTION_MS) {
+      pruned[actionId] = entry;
+    } else if (!entry.reported) {
+      logger.warn(`[JOURNAL] Dropping unreported result of action ${actionId} after ${RETENTION_MS / 86400000} days`);
+    }
+  }
+  return pruned;
+}
+
+export function getIdempotencyKey(action) {
+  return action.idempotency_key || action.payload?.idempotencyKey || null;
+}
+
+// Earlier completion of this action, or of another action with the same idempotency key
+export function findCompletedAction(action) {
+  if (entries[action.id]) return entries[action.id];
+
+  const key = getIdempotencyKey(action);
+  if (!key) return null;
+  return Object.values(entries).find(entry =>
+    entry.idempotencyKey === key &&
+    entry.agentId === action.agent_id &&
+    entry.actionType === action.action_type
+  ) || null;
+}
+
+// report: the worker-report body minus workerId ({ status, result, errorMessage, ...extraData })
+export function recordCompletedAction(action, report) {
+  entries = pruneEntries(entries, Date.now());
+  entries[action.id] = {
+    actionId: action.id,
+    idempotencyKey: getIdempotencyKey(action),
+    actionType: action.action_type,
+    agentId: action.agent_id,
+    completedAt: Date.now(),
+    report,
+    reported: false
+  };
+  saveEntries();
+}
+
+export function markActionReported(actionId) {
+  if (!entries[actionId]) return;
+  entries[actionId].reported = true;
+  saveEntries();
+}
+
+export function getUnreportedActions() {
+  return Object.values(entries).filter(entry => !entry.reported);
+}
@@ -0,0 +1,219 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { createHash, createHmac } from 'node:crypto';
+import { dirname, join, resolve } from 'node:path';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+
+// ============================================
+// Debug artifact store (screenshots, HTML snapshots, Playwright traces)
+// ============================================
+//
+// ARTIFACT_STORE=local     files under ARTIFACT_DIR (default)
+// ARTIFACT_STORE=s3        any S3-compatible bucket (AWS, R2, MinIO, Supabase S3 endpoint)
+// ARTIFACT_STORE=supabase  Supabase Storage bucket via the service key
+// ARTIFACT_STORE=none      discard artifacts
+//
+// put() returns a reference that is safe to send to the backend:
+//   { backend, key, url, contentType, size, label }
+// url is a link the user's browser can open (public or time-limited signed), or null for local.
+
+// Keys end up in URLs and file paths - keep them boring
+export function buildArtifactKey(...parts) {
+  return parts
+    .filter(part => part !== null && part !== undefined && part !== '')
+    .map(part => String(part).replace(/[^A-Za-z0-9._-]+/g, '_'))
+    .join('/');
+}
+
+function createLocalBackend({ directory }) {
+  const root = resolve(directory);
+
+  return {
+    name: 'local',
+    servesUrls: false,
+    async put(key, body) {
+      const path = join(root, key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, body);
+      return { path, url: null };
+    }
+  };
+}
+
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+function s3Signature(secretAccessKey, dateStamp, region, stringToSign) {
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  return createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+// SigV4 query-string signed GET: a link to a private object that works for expiresIn seconds
+// (S3 caps presigned URLs at 7 days)
+export function presignS3Get({ url, region, accessKeyId, secretAccessKey, expiresIn, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  // Already in canonical (sorted) order
+  const canonicalQuery = [
+    ['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
+    ['X-Amz-Credential', `${accessKeyId}/${scope}`],
+    ['X-Amz-Date', amzDate],
+    ['X-Amz-Expires', String(Math.min(expiresIn, 604800))],
+    ['X-Amz-SignedHeaders', 'host']
+  ].map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+
+  const canonicalRequest = ['GET', target.pathname, canonicalQuery, `host:${target.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  return `${target.origin}${target.pathname}?${canonicalQuery}&X-Amz-Signature=${s3Signature(secretAccessKey, dateStamp, region, stringToSign)}`;
+}
+
+// Minimal AWS Signature V4 PUT (path-style), enough for any S3-compatible endpoint.
+// Without a public URL, objects are linked with presigned GETs.
+function createS3Backend({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl, signedUrlTtl }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 artifact store needs ARTIFACT_S3_ENDPOINT, ARTIFACT_S3_BUCKET, ARTIFACT_S3_ACCESS_KEY_ID and ARTIFACT_S3_SECRET_ACCESS_KEY');
+  }
+
+  return {
+    name: 's3',
+    servesUrls: true,
+    async put(key, body, contentType, urlTtl = signedUrlTtl) {
+      const url = new URL(`${endpoint.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+      const dateStamp = amzDate.slice(0, 8);
+      const payloadHash = sha256Hex(body);
+
+      const headers = {
+        'content-type': contentType,
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+      };
+      const headerNames = Object.keys(headers).sort();
+      const signedHeaders = headerNames.join(';');
+      const canonicalHeaders = headerNames.map(name => `${name}:${headers[name]}\n`).join('');
+
+      const canonicalRequest = ['PUT', url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+      const scope = `${dateStamp}/${region}/s3/aws4_request`;
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+      const signature = s3Signature(secretAccessKey, dateStamp, region, stringToSign);
+
+      const { host, ...requestHeaders } = headers;
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: {
+          ...requestHeaders,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body
+      });
+
+      if (!response.ok) {
+        throw new Error(`S3 upload failed: ${response.status} - ${await response.text()}`);
+      }
+
+      if (publicUrl) {
+        return { url: `${publicUrl.replace(/\/$/, '')}/${key}` };
+      }
+      return { url: presignS3Get({ url, region, accessKeyId, secretAccessKey, expiresIn: urlTtl }) };
+    }
+  };
+}
+
+function createSupabaseBackend({ url, serviceKey, bucket, signedUrlTtl }) {
+  if (!url || !serviceKey || !bucket) {
+    throw new Error('Supabase artifact store needs SUPABASE_URL, ARTIFACT_SUPABASE_KEY and ARTIFACT_SUPABASE_BUCKET');
+  }
+
+  const client = createClient(url, serviceKey, { auth: { persistSession: false } });
+
+  return {
+    name: 'supabase',
+    servesUrls: true,
+    async put(key, body, contentType, urlTtl = signedUrlTtl) {
+      const { error } = await client.storage.from(bucket).upload(key, body, { contentType, upsert: true });
+      if (error) {
+        throw new Error(`Supabase Storage upload failed: ${error.message}`);
+      }
+
+      const { data } = await client.storage.from(bucket).createSignedUrl(key, urlTtl);
+      return { url: data?.signedUrl || null };
+    }
+  };
+}
+
+function createBackend(env) {
+  switch (env.ARTIFACT_STORE || 'local') {
+    case 'local':
+      return createLocalBackend({ directory: env.ARTIFACT_DIR || '.worker-state/artifacts' });
+
+    case 's3':
+      return createS3Backend({
+        endpoint: env.ARTIFACT_S3_ENDPOINT,
+        region: env.ARTIFACT_S3_REGION || 'us-east-1',
+        bucket: env.ARTIFACT_S3_BUCKET,
+        accessKeyId: env.ARTIFACT_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.ARTIFACT_S3_SECRET_ACCESS_KEY,
+        publicUrl: env.ARTIFACT_S3_PUBLIC_URL,
+        signedUrlTtl: parseInt(env.ARTIFACT_SIGNED_URL_TTL || '604800')
+      });
+
+    case 'supabase':
+      return createSupabaseBackend({
+        url: env.SUPABASE_URL,
+        serviceKey: env.ARTIFACT_SUPABASE_KEY,
+        bucket: env.ARTIFACT_SUPABASE_BUCKET || 'worker-artifacts',
+        signedUrlTtl: parseInt(env.ARTIFACT_SIGNED_URL_TTL || '604800')
+      });
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown ARTIFACT_STORE: ${env.ARTIFACT_STORE}`);
+  }
+}
+
+export function createArtifactStore(env = process.env) {
+  const backend = createBackend(env);
+
+  // Never throws - a failed upload must not turn into a failed action.
+  // urlTtl (seconds) overrides ARTIFACT_SIGNED_URL_TTL for this object's signed link.
+  async function put(key, body, { contentType = 'application/octet-stream', label = null, urlTtl } = {}) {
+    if (!backend) return null;
+
+    try {
+      const stored = await backend.put(key, body, contentType, urlTtl);
+      logger.info(`[ARTIFACT] Stored ${label || key} (${body.length} bytes) in ${backend.name}`);
+      return {
+        backend: backend.name,
+        key,
+        url: stored.url,
+        ...(stored.path ? { path: stored.path } : {}),
+        contentType,
+        size: body.length,
+        label
+      };
+    } catch (error) {
+      logger.warn(`[ARTIFACT] Failed to store ${label || key}:`, error.message);
+      return null;
+    }
+  }
+
+  return {
+    backend: backend?.name || 'none',
+    // Whether put() hands back links the user can open
+    servesUrls: !!backend?.servesUrls,
+    put
+  };
+}
@@ -0,0 +1,40 @@
+import { chromium } from 'playwright-core';
+import { logger } from '../logger.js';
+import { NonRetryableError } from '../errors.js';
+
+// ============================================
+// Any browser reachable over a CDP WebSocket URL
+// ============================================
+//
+// The URL comes from the agent's browser profile (cdp_url) or CDP_URL on the worker.
+// The browser's lifetime is owned by whoever started it; closing only disconnects.
+
+export function createCdpProvider({ defaultUrl, connectTimeout = 90000 }) {
+  return {
+    name: 'cdp',
+
+    unavailableReason: () => null,
+
+    profileKey: (action, profile) => profile.profile_id || action.agent_id,
+
+    async open({ profile }) {
+      const url = profile.cdp_url || defaultUrl;
+      if (!url) {
+        throw new NonRetryableError('No CDP URL configured for this agent (set cdp_url on its browser profile or CDP_URL on the worker)', { code: 'no_cdp_url' });
+      }
+
+      // Only the host - WebSocket paths often carry access tokens
+      logger.info(`Connecting to CDP endpoint ${new URL(url).host}...`);
+      return { browser: await chromium.connectOverCDP(url, { timeout: connectTimeout }) };
+    },
+
+    async close(session) {
+      try {
+        await session.browser.close();
+        logger.info('Disconnected from CDP endpoint');
+      } catch (error) {
+        logger.warn('Error disconnecting from CDP endpoint:', error.message);
+      }
+    }
+  };
+}
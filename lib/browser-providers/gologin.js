@@ -0,0 +1,130 @@
+import { chromium } from 'playwright-core';
+import { logger } from '../logger.js';
+import { RetryableError, NonRetryableError, isTransientError } from '../errors.js';
+import { createGoLoginClient, ProfileBusy, RateLimited } from '../gologin-client.js';
+
+// ============================================
+// GoLogin Cloud Browser
+// ============================================
+
+function wsHost(wsUrl) {
+  try {
+    return new URL(wsUrl).host;
+  } catch {
+    return 'unknown';
+  }
+}
+
+export function createGoLoginProvider({ apiToken, baseUrl, requestTimeout }) {
+  const client = createGoLoginClient({ apiToken, baseUrl, timeout: requestTimeout });
+
+  function connect(wsUrl) {
+    return chromium.connectOverCDP(wsUrl, {
+      timeout: 90000, // 90 second connection timeout
+    });
+  }
+
+  async function startProfile(profileId, maxRetries = 3) {
+    logger.info(`Starting GoLogin Cloud Browser: ${profileId}`);
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        // Step 1: Start the profile via GoLogin REST API
+        logger.info(`Attempt ${attempt}: Starting profile via GoLogin API...`);
+        const { wsUrl } = await client.startProfile(profileId);
+
+        // The URL carries a session token - log where it points, nothing more
+        logger.info(`Got WebSocket URL from GoLogin API for host ${wsHost(wsUrl)}`);
+
+        // Step 2: Connect via Playwright's CDP connection
+        const browser = await connect(wsUrl);
+
+        logger.info(`Connected to GoLogin Cloud Browser (attempt ${attempt})`);
+
+        return browser;
+
+      } catch (error) {
+        lastError = error;
+
+        // Running elsewhere, most likely for another worker: neither take it over nor stop it,
+        // the action is requeued and tries again later
+        if (error instanceof ProfileBusy) {
+          logger.warn(`GoLogin profile ${profileId} is already running, leaving it alone`);
+          throw error;
+        }
+
+        logger.warn(`Cloud connection failed (attempt ${attempt}/${maxRetries}): ${error.message || error}`);
+
+        // Auth, missing-profile and rate-limit errors go straight back to the action's retry policy
+        // (the client has already waited out short Retry-After periods)
+        if (error instanceof NonRetryableError || error instanceof RateLimited) {
+          throw error;
+        }
+
+        // Client errors are typed; CDP connection failures are matched by message
+        const isRetryable = error instanceof RetryableError || isTransientError(error);
+
+        if (isRetryable && attempt < maxRetries) {
+          const delay = Math.pow(2, attempt) * 2000; // 4s, 8s, 16s exponential backoff
+          logger.info(`Retrying in ${delay/1000}s...`);
+          await new Promise(r => setTimeout(r, delay));
+        } else if (!isRetryable) {
+          throw error;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Stop the profile via API only (no browser close)
+  async function stopProfile(profileId) {
+    if (!profileId) return;
+
+    try {
+      logger.info(`Stopping GoLogin profile via API: ${profileId}`);
+      await client.stopProfile(profileId);
+      logger.info('GoLogin profile stopped via API');
+    } catch (error) {
+      logger.warn('Error stopping GoLogin profile via API:', error.message);
+    }
+  }
+
+  return {
+    name: 'gologin',
+
+    unavailableReason: () => (apiToken ? null : 'GOLOGIN_API_TOKEN is not set'),
+
+    // GoLogin needs a real profile; there is no sensible default
+    profileKey(action, profile) {
+      if (!profile.profile_id) {
+        throw new NonRetryableError('No GoLogin profile linked to this agent', { code: 'no_gologin_profile' });
+      }
+      return profile.profile_id;
+    },
+
+    async open({ key }) {
+      return { browser: await startProfile(key) };
+    },
+
+    async close(session) {
+      // Close the browser connection first
+      if (session.browser) {
+        try {
+          await session.browser.close();
+          logger.info('Browser connection closed');
+        } catch (error) {
+          logger.warn('Error closing browser:', error.message);
+        }
+      }
+
+      // Stop the profile in GoLogin via API
+      await stopProfile(session.key);
+    },
+
+    // Profiles that were still starting when the worker shut down
+    abort: key => stopProfile(key)
+  };
+}
@@ -0,0 +1,67 @@
+import { NonRetryableError } from '../errors.js';
+import { createGoLoginProvider } from './gologin.js';
+import { createLocalChromiumProvider } from './local.js';
+import { createCdpProvider } from './cdp.js';
+
+// ============================================
+// Browser providers
+// ============================================
+//
+// provider: {
+//   name
+//   unavailableReason() -> why this worker can't use the provider, or null
+//   profileKey(action, profile) -> stable key for the browser profile (sessions are cached per key)
+//   open({ key, profile, action }) -> { browser, context? } (browser is null for persistent contexts)
+//   close(session)
+//   abort?(key) -> stop a profile whose start was interrupted (shutdown)
+// }
+//
+// BROWSER_PROVIDER picks the worker default (gologin); an agent's browser profile can
+// override it with its own provider field.
+
+export function createBrowserProviders(env = process.env) {
+  const providers = [
+    createGoLoginProvider({
+      apiToken: env.GOLOGIN_API_TOKEN,
+      baseUrl: env.GOLOGIN_API_URL || undefined,
+      requestTimeout: parseInt(env.GOLOGIN_REQUEST_TIMEOUT || '30000')
+    }),
+    createLocalChromiumProvider({
+      dataDir: env.LOCAL_BROWSER_DATA_DIR || '.worker-state/browser-profiles',
+      headless: env.LOCAL_BROWSER_HEADLESS !== 'false',
+      executablePath: env.LOCAL_BROWSER_EXECUTABLE,
+      channel: env.LOCAL_BROWSER_CHANNEL
+    }),
+    createCdpProvider({ defaultUrl: env.CDP_URL })
+  ];
+
+  return new Map(providers.map(provider => [provider.name, provider]));
+}
+
+// Providers this worker can actually use (advertised in heartbeats)
+export function getAvailableProviders(providers) {
+  return [...providers.values()]
+    .filter(provider => !provider.unavailableReason())
+    .map(provider => provider.name);
+}
+
+// action.browser_profile (or the legacy action.gologin_profile) -> { provider, key, sessionKey, profile }
+export function resolveBrowserTarget(action, providers, defaultProvider) {
+  const profile = action.browser_profile || action.gologin_profile || {};
+  const providerName = profile.provider || defaultProvider;
+
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new NonRetryableError(`Unknown browser provider: ${providerName}`, { code: 'unknown_browser_provider' });
+  }
+
+  const unavailable = provider.unavailableReason();
+  if (unavailable) {
+    throw new NonRetryableError(`Browser provider ${providerName} is not available on this worker: ${unavailable}`, {
+      code: 'browser_provider_unavailable'
+    });
+  }
+
+  const key = provider.profileKey(action, profile);
+  return { provider, key, sessionKey: `${provider.name}:${key}`, profile };
+}
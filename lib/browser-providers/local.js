@@ -0,0 +1,60 @@
+import { join, resolve } from 'node:path';
+import { chromium } from 'playwright-core';
+import { logger } from '../logger.js';
+import { NonRetryableError } from '../errors.js';
+
+// ============================================
+// Locally launched Chromium, one persistent user-data dir per agent
+// ============================================
+//
+// playwright-core ships no browsers: point LOCAL_BROWSER_EXECUTABLE at a Chromium/Chrome
+// binary or set LOCAL_BROWSER_CHANNEL (e.g. "chrome") to use an installed one.
+
+export function createLocalChromiumProvider({ dataDir, headless = true, executablePath, channel }) {
+  const root = resolve(dataDir);
+
+  return {
+    name: 'local',
+
+    unavailableReason: () => null,
+
+    // Reuses the same user-data dir (and with it cookies and history) for the agent every time
+    profileKey: (action, profile) => profile.profile_id || action.agent_id,
+
+    async open({ key }) {
+      const userDataDir = join(root, String(key).replace(/[^A-Za-z0-9._-]+/g, '_'));
+      logger.info(`Launching local Chromium with user data dir ${userDataDir}`);
+
+      let context;
+      try {
+        context = await chromium.launchPersistentContext(userDataDir, {
+          headless,
+          executablePath: executablePath || undefined,
+          channel: channel || undefined,
+          viewport: { width: 1280, height: 800 }
+        });
+      } catch (error) {
+        // A missing binary is a worker setup problem, not something a retry fixes
+        if (/Executable doesn't exist|Chromium distribution .* is not found/i.test(error.message)) {
+          throw new NonRetryableError('No local Chromium found - set LOCAL_BROWSER_EXECUTABLE or LOCAL_BROWSER_CHANNEL', {
+            code: 'local_browser_missing',
+            cause: error
+          });
+        }
+        throw error;
+      }
+
+      // Persistent contexts have no Browser object; the session cache watches the context instead
+      return { browser: null, context };
+    },
+
+    async close(session) {
+      try {
+        await session.context.close();
+        logger.info('Local Chromium closed');
+      } catch (error) {
+        logger.warn('Error closing local Chromium:', error.message);
+      }
+    }
+  };
+}
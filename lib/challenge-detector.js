@@ -0,0 +1,155 @@
+import { readFileSync } from 'node:fs';
+
+// ============================================
+// Rule-based LinkedIn challenge detection
+// ============================================
+//
+// Rules live in a versioned JSON rule set (lib/challenge-rules.json, or CHALLENGE_RULES_FILE):
+//   rules:   evaluated in order, first match wins. A rule matches when every condition it
+//            declares holds - urls (any substring of the URL), phrases (any phrase of the
+//            named group in the page text), selectors (any visible), buttons (any visible
+//            button whose text contains a phrase of the named group).
+//   locales: phrase groups per language; every locale is checked, so mixed-language pages work.
+//
+// Result: { type, indicator, method?, confidence, locale, ruleId, rulesVersion }
+
+const DEFAULT_RULES_FILE = new URL('./challenge-rules.json', import.meta.url);
+const RULE_CONDITIONS = ['urls', 'phrases', 'selectors', 'buttons'];
+
+// Phrase matched in another language than the page declares - weaker evidence
+const FOREIGN_PHRASE_FACTOR = 0.8;
+
+function validateRules(ruleSet) {
+  if (typeof ruleSet?.version !== 'string' || !Array.isArray(ruleSet.rules) || !ruleSet.locales) {
+    throw new Error('Challenge rule set needs version, rules and locales');
+  }
+
+  const groups = new Set(Object.values(ruleSet.locales).flatMap(phrases => Object.keys(phrases)));
+
+  for (const rule of ruleSet.rules) {
+    if (!rule.id || !rule.type) {
+      throw new Error(`Challenge rule ${JSON.stringify(rule)} needs an id and a type`);
+    }
+    if (!RULE_CONDITIONS.some(condition => rule[condition])) {
+      throw new Error(`Challenge rule ${rule.id} has no conditions`);
+    }
+    for (const group of [rule.phrases, rule.buttons].filter(Boolean)) {
+      if (!groups.has(group)) {
+        throw new Error(`Challenge rule ${rule.id} uses unknown phrase group "${group}"`);
+      }
+    }
+    if (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1) {
+      throw new Error(`Challenge rule ${rule.id} needs a confidence between 0 and 1`);
+    }
+  }
+
+  return ruleSet;
+}
+
+export function loadChallengeRules(path = process.env.CHALLENGE_RULES_FILE || DEFAULT_RULES_FILE) {
+  return validateRules(JSON.parse(readFileSync(path, 'utf8')));
+}
+
+// Lowercase, straight apostrophes, single spaces - LinkedIn mixes ’ and '
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[‘’ʼ]/g, "'").replace(/\s+/g, ' ');
+}
+
+function findPhrase(ruleSet, group, text) {
+  for (const [locale, groups] of Object.entries(ruleSet.locales)) {
+    for (const phrase of groups[group] || []) {
+      if (text.includes(normalizeText(phrase))) {
+        return { phrase, locale };
+      }
+    }
+  }
+  return null;
+}
+
+async function findVisibleSelector(page, selectors) {
+  for (const selector of selectors) {
+    if (await page.locator(selector).first().isVisible().catch(() => false)) {
+      return selector;
+    }
+  }
+  return null;
+}
+
+async function findButton(page, ruleSet, group) {
+  for (const [locale, groups] of Object.entries(ruleSet.locales)) {
+    for (const phrase of groups[group] || []) {
+      if (await page.locator('button', { hasText: phrase }).first().isVisible().catch(() => false)) {
+        return { phrase, locale };
+      }
+    }
+  }
+  return null;
+}
+
+function detectMethod(ruleSet, text, fallback) {
+  if (findPhrase(ruleSet, 'sms_hints', text)) return 'sms';
+  if (findPhrase(ruleSet, 'email_hints', text)) return 'email';
+  return fallback;
+}
+
+// Cheap conditions first so most rules fail before touching the DOM
+async function matchRule(page, ruleSet, rule, { url, text }) {
+  let locale = null;
+  let indicator = null;
+
+  if (rule.urls && !rule.urls.some(pattern => url.includes(pattern))) return null;
+
+  if (rule.phrases) {
+    const match = findPhrase(ruleSet, rule.phrases, text);
+    if (!match) return null;
+    ({ locale } = match);
+    indicator = match.phrase;
+  }
+
+  if (rule.selectors) {
+    const selector = await findVisibleSelector(page, rule.selectors);
+    if (!selector) return null;
+    indicator = indicator || selector;
+  }
+
+  if (rule.buttons) {
+    const match = await findButton(page, ruleSet, rule.buttons);
+    if (!match) return null;
+    locale = locale || match.locale;
+  }
+
+  return { locale, indicator: rule.indicator || indicator || rule.id };
+}
+
+// types limits detection to some challenge types, e.g. ['captcha'] while waiting for one to be solved
+export async function detectChallenge(page, ruleSet, { types = null } = {}) {
+  const text = normalizeText(await page.textContent('body').catch(() => ''));
+  const url = page.url().toLowerCase();
+  const pageLocale = String(await page.evaluate(() => document.documentElement.lang).catch(() => ''))
+    .slice(0, 2)
+    .toLowerCase() || null;
+
+  for (const rule of ruleSet.rules) {
+    if (types && !types.includes(rule.type)) continue;
+
+    const match = await matchRule(page, ruleSet, rule, { url, text });
+    if (!match) continue;
+
+    let confidence = rule.confidence;
+    if (match.locale && pageLocale && ruleSet.locales[pageLocale] && match.locale !== pageLocale) {
+      confidence *= FOREIGN_PHRASE_FACTOR;
+    }
+
+    return {
+      type: rule.type,
+      indicator: match.indicator,
+      ...(rule.method ? { method: rule.method === 'detect' ? detectMethod(ruleSet, text, rule.defaultMethod || 'unknown') : rule.method } : {}),
+      confidence: Math.round(confidence * 100) / 100,
+      locale: match.locale || pageLocale,
+      ruleId: rule.id,
+      rulesVersion: ruleSet.version
+    };
+  }
+
+  return { type: 'none', indicator: null, confidence: 0, locale: pageLocale, ruleId: null, rulesVersion: ruleSet.version };
+}
@@ -0,0 +1,119 @@
+// ============================================
+// Worker error types and classification
+// ============================================
+
+// How the backend should treat a failed action
+export const ErrorCategory = {
+  RETRYABLE: 'retryable',         // transient - requeue after a backoff
+  NON_RETRYABLE: 'non_retryable', // the same action will fail again
+  NEEDS_HUMAN: 'needs_human'      // blocked until someone acts (credentials, CAPTCHA, re-auth)
+};
+
+export class WorkerError extends Error {
+  constructor(message, { category = ErrorCategory.RETRYABLE, code = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'WorkerError';
+    this.category = category;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class RetryableError extends WorkerError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: ErrorCategory.RETRYABLE });
+    this.name = 'RetryableError';
+  }
+}
+
+export class NonRetryableError extends WorkerError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: ErrorCategory.NON_RETRYABLE });
+    this.name = 'NonRetryableError';
+  }
+}
+
+export class NeedsHumanError extends WorkerError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: ErrorCategory.NEEDS_HUMAN });
+    this.name = 'NeedsHumanError';
+  }
+}
+
+// The payload can't be processed as sent; fields lists every { field, message } problem
+export class ValidationError extends NonRetryableError {
+  constructor(fields) {
+    super(`Invalid payload: ${fields.map(field => field.message).join('; ')}`, { code: 'validation_error' });
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// The GoLogin profile is no longer signed in to LinkedIn and needs a fresh login
+export class SessionExpiredError extends NeedsHumanError {
+  constructor(message = 'LinkedIn session expired') {
+    super(message, { code: 'session_expired' });
+    this.name = 'SessionExpiredError';
+  }
+}
+
+// Another worker took over the action's lease; this worker must stop without reporting
+export class LeaseLostError extends WorkerError {
+  constructor(actionId, ownerWorkerId = null) {
+    super(`Lease on action ${actionId} was taken over${ownerWorkerId ? ` by ${ownerWorkerId}` : ''}`, {
+      category: ErrorCategory.NON_RETRYABLE,
+      code: 'lease_lost'
+    });
+    this.name = 'LeaseLostError';
+    this.ownerWorkerId = ownerWorkerId;
+  }
+}
+
+// Network and upstream failures that usually clear up on their own. Status codes only count as
+// whole numbers, so profile ids and counts in a message don't match.
+const TRANSIENT_ERROR_PATTERNS = [
+  /\b50[0234]\b/,
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'timeout',
+  'ETIMEDOUT',
+  'network',
+  'socket hang up',
+  'WebSocket',
+  'fetch failed',
+  'Target closed',
+  'Browser has been closed'
+];
+
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export function isTransientError(error) {
+  if (TRANSIENT_HTTP_STATUSES.includes(error?.status)) return true;
+
+  const message = error?.message || String(error);
+  return TRANSIENT_ERROR_PATTERNS.some(pattern =>
+    typeof pattern === 'string' ? message.includes(pattern) : pattern.test(message)
+  );
+}
+
+// Returns { category, code } for any thrown value.
+// retryUnknown: false for actions that send something to a lead - an unexplained failure may
+// have happened after the send, and retrying it would send again.
+export function classifyError(error, { retryUnknown = true } = {}) {
+  if (error instanceof WorkerError) {
+    return { category: error.category, code: error.code };
+  }
+
+  // Bad templates won't render differently next time
+  if (error?.name === 'TemplateError') {
+    return { category: ErrorCategory.NON_RETRYABLE, code: 'template_error' };
+  }
+
+  // Playwright timeouts are almost always slow pages or flaky connections
+  if (error?.name === 'TimeoutError' || isTransientError(error)) {
+    return { category: ErrorCategory.RETRYABLE, code: 'transient' };
+  }
+
+  // Unknown failures get the benefit of the doubt, bounded by the attempt limit
+  return { category: retryUnknown ? ErrorCategory.RETRYABLE : ErrorCategory.NON_RETRYABLE, code: 'unknown' };
+}
@@ -0,0 +1,159 @@
+import { logger } from './logger.js';
+import { RetryableError, NonRetryableError } from './errors.js';
+
+// ============================================
+// GoLogin REST API client
+// ============================================
+//
+// Every request has a timeout. 429 responses are retried in place when Retry-After is
+// short, otherwise surfaced as RateLimited with retryAfterMs so the action is requeued.
+// GOLOGIN_API_URL points the client at another server (e.g. a local mock).
+
+const DEFAULT_BASE_URL = 'https://api.gologin.com';
+// Used when a 429 comes without a usable Retry-After header
+const DEFAULT_RATE_LIMIT_DELAY = 60000;
+// How long an action waits before trying a profile that was running elsewhere again
+const PROFILE_BUSY_DELAY = 60000;
+
+export class AuthError extends NonRetryableError {
+  constructor(status) {
+    super(`GoLogin API access denied (${status}). Check your API token.`, { code: 'gologin_auth' });
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+export class ProfileNotFound extends NonRetryableError {
+  constructor(profileId) {
+    super(`GoLogin profile not found (404). Profile ID: ${profileId}`, { code: 'gologin_profile_not_found' });
+    this.name = 'ProfileNotFound';
+    this.profileId = profileId;
+  }
+}
+
+// The profile is already running (409), usually in another session
+export class ProfileBusy extends RetryableError {
+  constructor(profileId) {
+    super(`GoLogin profile ${profileId} is already running`, { code: 'gologin_profile_busy', retryAfterMs: PROFILE_BUSY_DELAY });
+    this.name = 'ProfileBusy';
+    this.profileId = profileId;
+  }
+}
+
+export class RateLimited extends RetryableError {
+  constructor(retryAfterMs) {
+    super(`GoLogin API rate limit hit, retry after ${Math.ceil(retryAfterMs / 1000)}s`, {
+      code: 'gologin_rate_limited',
+      retryAfterMs
+    });
+    this.name = 'RateLimited';
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function errorForStatus(status, body, profileId, description) {
+  if (status === 401 || status === 403) return new AuthError(status);
+  if (status === 404 && profileId) return new ProfileNotFound(profileId);
+  if (status === 409 && profileId) return new ProfileBusy(profileId);
+
+  const message = `GoLogin ${description} failed: ${status} - ${body.substring(0, 500)}`;
+  return status >= 500
+    ? new RetryableError(message, { code: 'gologin_api_error' })
+    : new NonRetryableError(message, { code: 'gologin_api_error' });
+}
+
+export function createGoLoginClient({
+  apiToken,
+  baseUrl = DEFAULT_BASE_URL,
+  timeout = 30000,
+  // 429s with a Retry-After up to this long are waited out here instead of failing the action
+  maxRateLimitWait = 30000,
+  maxRateLimitRetries = 2
+}) {
+  const root = baseUrl.replace(/\/$/, '');
+
+  async function request(method, path, { profileId = null, description = `${method} ${path}` } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${root}${path}`, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${apiToken}`,
+            'Content-Type': 'application/json'
+          },
+          signal: AbortSignal.timeout(timeout)
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new RetryableError(`GoLogin ${description} timed out after ${timeout / 1000}s`, { code: 'gologin_timeout', cause: error });
+        }
+        throw new RetryableError(`GoLogin ${description} failed: ${error.message}`, { code: 'gologin_network', cause: error });
+      }
+
+      if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after')) ?? DEFAULT_RATE_LIMIT_DELAY;
+        if (attempt < maxRateLimitRetries && retryAfterMs <= maxRateLimitWait) {
+          logger.warn(`[GOLOGIN] Rate limited on ${description}, retrying in ${Math.ceil(retryAfterMs / 1000)}s`);
+          await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+          continue;
+        }
+        throw new RateLimited(retryAfterMs);
+      }
+
+      const body = await response.text();
+      if (!response.ok) {
+        throw errorForStatus(response.status, body, profileId, description);
+      }
+
+      try {
+        return body ? JSON.parse(body) : null;
+      } catch {
+        return body;
+      }
+    }
+  }
+
+  // -> { wsUrl, ...raw response }
+  async function startProfile(profileId) {
+    const data = await request('GET', `/browser/${encodeURIComponent(profileId)}/start?autoClose=false`, {
+      profileId,
+      description: 'profile start'
+    });
+
+    const wsUrl = data?.wsUrl || data?.ws?.puppeteer;
+    if (!wsUrl) {
+      throw new RetryableError(`No WebSocket URL returned from GoLogin API. Response: ${JSON.stringify(data)}`, {
+        code: 'gologin_no_ws_url'
+      });
+    }
+
+    return { ...data, wsUrl };
+  }
+
+  function stopProfile(profileId) {
+    return request('GET', `/browser/${encodeURIComponent(profileId)}/stop`, { profileId, description: 'profile stop' });
+  }
+
+  // -> { wsUrl?, ... } for a running profile
+  function getProfileStatus(profileId) {
+    return request('GET', `/browser/${encodeURIComponent(profileId)}/status`, { profileId, description: 'profile status' });
+  }
+
+  // -> { profiles, allProfilesCount }
+  function listProfiles({ page = 1 } = {}) {
+    return request('GET', `/browser/v2?page=${page}`, { description: 'profile list' });
+  }
+
+  return { startProfile, stopProfile, getProfileStatus, listProfiles };
+}
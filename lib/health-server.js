@@ -0,0 +1,64 @@
+import http from 'node:http';
+import { logger } from './logger.js';
+
+// ============================================
+// Local health and metrics endpoint
+// ============================================
+//
+// GET /healthz  - process is up (always 200 while the event loop runs)
+// GET /readyz   - 200 when the worker is polling or heartbeating normally, 503 otherwise
+// GET /metrics  - Prometheus text format
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// getStatus() -> { ready, ...details }; renderMetrics() -> Prometheus text
+export function startHealthServer({ port, host = '127.0.0.1', getStatus, renderMetrics }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const path = req.url.split('?')[0];
+
+    try {
+      switch (path) {
+        case '/healthz':
+          sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+          break;
+
+        case '/readyz': {
+          const status = getStatus();
+          sendJson(res, status.ready ? 200 : 503, status);
+          break;
+        }
+
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          res.end(renderMetrics());
+          break;
+
+        default:
+          sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.on('error', error => {
+    logger.error(`[HEALTH] Health server error on ${host}:${port}:`, error.message);
+  });
+
+  server.listen(port, host, () => {
+    logger.info(`[HEALTH] Serving /healthz, /readyz and /metrics on http://${host}:${port}`);
+  });
+
+  // Never keep the process alive just for the health server
+  server.unref();
+
+  return server;
+}
@@ -0,0 +1,145 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { format } from 'node:util';
+
+// ============================================
+// Structured logging
+// ============================================
+//
+// One JSON object per line on stdout/stderr:
+//   {"time":"...","level":"info","workerId":"...","actionId":"...","agentId":"...",
+//    "actionType":"send_message","component":"LOGIN","msg":"..."}
+//
+// A leading "[TAG]" in the message becomes the component field. Action context is
+// carried through async calls with runWithLogContext(), so concurrent slots stay apart.
+// LOG_FORMAT=text prints the same information as plain lines for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// Messages longer than this are cut; large payloads belong in the artifact store
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_SECRETS = 1000;
+
+const contextStorage = new AsyncLocalStorage();
+const baseFields = {};
+
+// Exact values seen at runtime (passwords, cookies, 2FA codes) - redacted wherever they appear
+const secrets = new Set();
+
+const REDACTION_PATTERNS = [
+  // key=value / "key": "value" pairs for sensitive keys
+  [/((?:password|passwd|li_at|li_a|liAtCookie|liACookie|twoFACode|JSESSIONID|token|access_token)["']?\s*[:=]\s*["']?)[^"'\s,;}&]+/gi, '$1[REDACTED]'],
+  // LinkedIn session tokens
+  [/\bAQED[A-Za-z0-9_\-]{20,}/g, '[REDACTED_COOKIE]'],
+  // Email addresses
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]']
+];
+
+export function registerSecret(value) {
+  if (typeof value !== 'string' || value.length < 4) return;
+
+  secrets.add(value);
+  if (secrets.size > MAX_SECRETS) {
+    secrets.delete(secrets.values().next().value);
+  }
+}
+
+function replaceSecrets(text) {
+  let result = String(text);
+
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join('[REDACTED]');
+    }
+  }
+
+  return result;
+}
+
+export function redact(text) {
+  let result = replaceSecrets(text);
+
+  for (const [pattern, replacement] of REDACTION_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+}
+
+function redactFields(value, redactString = redact, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => redactFields(item, redactString, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, redactFields(item, redactString, depth + 1)])
+  );
+}
+
+// Only the registered secret values, for data that leaves the worker (reports, agent updates).
+// The broader log patterns would mangle legitimate results such as scraped emails.
+export function redactSecrets(value) {
+  return redactFields(value, replaceSecrets);
+}
+
+// Fields bound to every line (e.g. workerId)
+export function setBaseFields(fields) {
+  Object.assign(baseFields, fields);
+}
+
+// Run fn with actionId/agentId/actionType attached to every log line it produces
+export function runWithLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function write(level, boundFields, args) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  let message = format(...args);
+  let component;
+
+  const tagMatch = message.match(/^\[([A-Z0-9_]+)\]\s*/);
+  if (tagMatch) {
+    component = tagMatch[1];
+    message = message.slice(tagMatch[0].length);
+  }
+
+  message = redact(message);
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    message = `${message.substring(0, MAX_MESSAGE_LENGTH)}... [truncated ${message.length - MAX_MESSAGE_LENGTH} chars]`;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...baseFields,
+    ...contextStorage.getStore(),
+    ...(component ? { component } : {}),
+    ...redactFields(boundFields),
+    msg: message
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'text') {
+    const { time, level: _level, msg, ...rest } = entry;
+    const context = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase()} ${msg}${context}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+function createLogger(boundFields = {}) {
+  return {
+    debug: (...args) => write('debug', boundFields, args),
+    info: (...args) => write('info', boundFields, args),
+    warn: (...args) => write('warn', boundFields, args),
+    error: (...args) => write('error', boundFields, args),
+    // Logger whose lines carry extra structured fields
+    child: fields => createLogger({ ...boundFields, ...fields })
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,103 @@
+// ============================================
+// Prometheus metrics (text exposition format, no dependencies)
+// ============================================
+
+const registry = [];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export function createCounter(name, help) {
+  const values = new Map(); // labelKey -> { labels, value }
+
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+// collect() returns a number, or a list of { labels, value }, read at scrape time
+export function createGauge(name, help, collect) {
+  const gauge = {
+    render() {
+      const collected = collect();
+      const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ].join('\n');
+    }
+  };
+
+  registry.push(gauge);
+  return gauge;
+}
+
+export function createHistogram(name, help, buckets) {
+  const sortedBuckets = [...buckets].sort((a, b) => a - b);
+  const values = new Map(); // labelKey -> { labels, counts, sum, count }
+
+  const histogram = {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, counts: sortedBuckets.map(() => 0), sum: 0, count: 0 };
+      sortedBuckets.forEach((bucket, index) => {
+        if (value <= bucket) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    // Returns a function that observes the seconds elapsed since startTimer()
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        sortedBuckets.forEach((bucket, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+export function renderMetrics() {
+  return `${registry.map(metric => metric.render()).join('\n\n')}\n`;
+}
@@ -0,0 +1,319 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { logger } from './logger.js';
+
+// ============================================
+// Mock Supabase edge functions (local end-to-end runs)
+// ============================================
+//
+// Implements what the worker calls on a live project, all in memory:
+//   POST /functions/v1/worker-poll          claim actions (minus excludeAgentIds) | renewLease | checkAgent2FA
+//   POST /functions/v1/worker-report        completed, failed (requeued when retryable), deferred,
+//                                           released, session_expired
+//   POST /functions/v1/worker-heartbeat     last heartbeat per worker
+//   POST /functions/v1/worker-update-agent  agent login state machine, session cookies, 2FA code
+//
+// Control API for QA scripts (no worker secret needed):
+//   GET  /mock/state                 agents, actions, workers and state machine violations
+//   POST /mock/actions               enqueue one action or a list
+//   POST /mock/agents                create or update an agent
+//   POST /mock/agents/:id/2fa        { code } - the code the next checkAgent2FA poll returns
+//
+// Scenario: { agents: [...], actions: [...] }. An agent's autoTwoFACode is handed out
+// twoFADelayMs after it reaches awaiting_2fa, like a user typing the code into the app.
+
+// Login states the worker moves an agent through; 'failed' is allowed from anywhere, and so is
+// 'idle', which a worker reports when it hands an unfinished login back to the queue
+const LOGIN_TRANSITIONS = {
+  idle: ['navigating', 'session_expired'],
+  navigating: ['entering_credentials', 'extracting_profile'],
+  entering_credentials: [
+    'awaiting_captcha', 'awaiting_2fa', 'awaiting_app_approval',
+    'invalid_credentials', 'account_locked', 'extracting_profile'
+  ],
+  awaiting_captcha: ['awaiting_2fa', 'awaiting_app_approval', 'extracting_profile'],
+  awaiting_2fa: ['extracting_profile'],
+  awaiting_app_approval: ['extracting_profile'],
+  extracting_profile: ['completed'],
+  completed: ['navigating', 'session_expired'],
+  invalid_credentials: ['navigating'],
+  account_locked: ['navigating'],
+  session_expired: ['navigating'],
+  failed: ['navigating', 'session_expired']
+};
+
+const DEFAULT_LEASE_SECONDS = 120;
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+export function createMockEdgeServer({ secret, scenario = {}, now = Date.now } = {}) {
+  const agents = new Map();
+  const actions = new Map();
+  const workers = new Map();
+  const violations = [];
+  const timers = new Set();
+
+  function upsertAgent(input) {
+    const agent = agents.get(input.id) || {
+      loginState: 'idle',
+      status: 'disconnected',
+      twoFACode: null,
+      history: []
+    };
+    Object.assign(agent, input);
+    agents.set(agent.id, agent);
+    return agent;
+  }
+
+  function enqueue(input) {
+    const action = {
+      id: input.id || randomUUID(),
+      status: 'pending',
+      attempts: 0,
+      availableAt: 0,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      reports: [],
+      ...input
+    };
+    if (action.agent_id && !agents.has(action.agent_id)) {
+      upsertAgent({ id: action.agent_id });
+    }
+    actions.set(action.id, action);
+    return action;
+  }
+
+  function injectTwoFACode(agentId, code) {
+    const agent = agents.get(agentId);
+    if (!agent) return false;
+    agent.twoFACode = code;
+    logger.info(`[MOCK] 2FA code ready for agent ${agentId}`);
+    return true;
+  }
+
+  // What the worker sees of an action: no mock bookkeeping, the agent's session attached
+  function toClaimedAction(action) {
+    const { status, availableAt, leaseOwner, leaseExpiresAt, reports, ...fields } = action;
+    const agent = agents.get(action.agent_id);
+    return {
+      ...fields,
+      ...(agent?.browser_profile && !fields.browser_profile ? { browser_profile: agent.browser_profile } : {}),
+      agent: agent ? {
+        id: agent.id,
+        status: agent.status,
+        session_cookies: agent.sessionCookies || null,
+        storage_state: agent.storageState || null
+      } : null
+    };
+  }
+
+  function isClaimable(action) {
+    if (action.availableAt > now()) return false;
+    // Leases of crashed workers run out and the action is up for grabs again
+    return action.status === 'pending' || (action.status === 'leased' && action.leaseExpiresAt <= now());
+  }
+
+  function poll(body) {
+    if (body.checkAgent2FA) {
+      return { twoFACode: agents.get(body.checkAgent2FA)?.twoFACode || null };
+    }
+
+    const leaseMs = (body.leaseSeconds || DEFAULT_LEASE_SECONDS) * 1000;
+
+    if (body.renewLease) {
+      const action = actions.get(body.renewLease);
+      if (!action || action.status !== 'leased' || action.leaseOwner !== body.workerId) {
+        return { leaseRenewed: false, ownerWorkerId: action?.leaseOwner || null };
+      }
+      action.leaseExpiresAt = now() + leaseMs;
+      return { leaseRenewed: true };
+    }
+
+    const excluded = new Set(body.excludeAgentIds || []);
+    const claimed = [...actions.values()]
+      .filter(action => isClaimable(action) && !excluded.has(action.agent_id))
+      .slice(0, body.limit || 1);
+    for (const action of claimed) {
+      action.status = 'leased';
+      action.leaseOwner = body.workerId;
+      action.leaseExpiresAt = now() + leaseMs;
+      logger.info(`[MOCK] ${body.workerId} claimed ${action.action_type} ${action.id}`);
+    }
+    return { actions: claimed.map(toClaimedAction) };
+  }
+
+  function report(body) {
+    const action = actions.get(body.actionId);
+    if (!action) return { httpStatus: 404, body: { error: `Unknown action ${body.actionId}` } };
+    if (action.leaseOwner && action.leaseOwner !== body.workerId) {
+      return { httpStatus: 409, body: { error: `Action ${action.id} is leased by ${action.leaseOwner}` } };
+    }
+
+    action.reports.push({ ...body, at: new Date(now()).toISOString() });
+    action.result = body.result;
+    action.errorMessage = body.errorMessage;
+    action.leaseOwner = null;
+    action.leaseExpiresAt = null;
+
+    switch (body.status) {
+      case 'failed':
+        action.attempts++;
+        if (body.retryable && body.retryAfter) {
+          action.status = 'pending';
+          action.availableAt = Date.parse(body.retryAfter);
+        } else {
+          action.status = 'failed';
+        }
+        break;
+      case 'deferred':
+        action.status = 'pending';
+        action.availableAt = Date.parse(body.deferUntil) || now();
+        break;
+      case 'released':
+        action.status = 'pending';
+        action.availableAt = now();
+        break;
+      default:
+        // completed, session_expired (waits for the agent to log in again)
+        action.status = body.status;
+    }
+
+    logger.info(`[MOCK] Action ${action.id} reported ${body.status} -> ${action.status}`);
+    return {};
+  }
+
+  function updateAgent(body) {
+    const agent = agents.get(body.agentId) || upsertAgent({ id: body.agentId });
+    const { workerId, agentId, loginState, clearTwoFACode, ...fields } = body;
+
+    if (loginState && loginState !== agent.loginState) {
+      const allowed = loginState === 'failed' || loginState === 'idle' || LOGIN_TRANSITIONS[agent.loginState]?.includes(loginState);
+      if (!allowed) {
+        violations.push({ agentId, from: agent.loginState, to: loginState, at: new Date(now()).toISOString() });
+        logger.warn(`[MOCK] Unexpected login state change for agent ${agentId}: ${agent.loginState} -> ${loginState}`);
+      }
+      agent.history.push({ from: agent.loginState, to: loginState, at: new Date(now()).toISOString() });
+      agent.loginState = loginState;
+
+      if (loginState === 'awaiting_2fa' && agent.autoTwoFACode) {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          injectTwoFACode(agent.id, agent.autoTwoFACode);
+        }, agent.twoFADelayMs || 0);
+        timers.add(timer);
+      }
+    }
+
+    if (clearTwoFACode) agent.twoFACode = null;
+    Object.assign(agent, fields);
+    return {};
+  }
+
+  function heartbeat(body) {
+    workers.set(body.workerId, { ...body, at: new Date(now()).toISOString() });
+    return {};
+  }
+
+  function snapshot() {
+    return {
+      agents: [...agents.values()],
+      actions: [...actions.values()],
+      workers: [...workers.values()],
+      violations
+    };
+  }
+
+  const edgeFunctions = {
+    'worker-poll': poll,
+    'worker-report': report,
+    'worker-heartbeat': heartbeat,
+    'worker-update-agent': updateAgent
+  };
+
+  async function handleControl(req, res, path) {
+    if (req.method === 'GET' && path === '/mock/state') {
+      return sendJson(res, 200, snapshot());
+    }
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const body = await readJson(req);
+    const twoFAMatch = path.match(/^\/mock\/agents\/([^/]+)\/2fa$/);
+
+    if (path === '/mock/actions') {
+      const queued = [].concat(body).map(enqueue);
+      return sendJson(res, 200, { actions: queued.map(action => action.id) });
+    }
+    if (path === '/mock/agents') {
+      return sendJson(res, 200, upsertAgent(body));
+    }
+    if (twoFAMatch) {
+      const agentId = decodeURIComponent(twoFAMatch[1]);
+      return injectTwoFACode(agentId, body.code)
+        ? sendJson(res, 200, { agentId })
+        : sendJson(res, 404, { error: `Unknown agent ${agentId}` });
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split('?')[0];
+
+    try {
+      if (path.startsWith('/mock/')) {
+        await handleControl(req, res, path);
+        return;
+      }
+
+      const handler = edgeFunctions[path.replace(/^\/functions\/v1\//, '')];
+      if (!handler || req.method !== 'POST') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      if (secret && req.headers['x-worker-secret'] !== secret) {
+        sendJson(res, 401, { error: 'Invalid worker secret' });
+        return;
+      }
+
+      const response = handler(await readJson(req));
+      if (response.httpStatus) {
+        sendJson(res, response.httpStatus, response.body);
+      } else {
+        sendJson(res, 200, response);
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  (scenario.agents || []).forEach(upsertAgent);
+  (scenario.actions || []).forEach(enqueue);
+
+  return {
+    server,
+    listen: (port, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server.address()));
+    }),
+    close: () => {
+      timers.forEach(clearTimeout);
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeAllConnections();
+      return closed;
+    },
+    enqueue,
+    upsertAgent,
+    injectTwoFACode,
+    snapshot
+  };
+}
@@ -0,0 +1,253 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { logger } from './logger.js';
+
+// ============================================
+// Per-agent action quotas and send windows
+// ============================================
+
+const QUOTA_STATE_FILE = process.env.QUOTA_STATE_FILE || '.worker-state/quota.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Resolution used when searching for the next open send window
+const WINDOW_STEP_MS = 5 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Conservative defaults - LinkedIn restricts accounts well before its documented limits.
+// Override per worker with QUOTA_<ACTION_TYPE>_DAILY / QUOTA_<ACTION_TYPE>_WEEKLY
+// or per agent with action.agent.quotas.
+const DEFAULT_LIMITS = {
+  send_connection: { daily: 20, weekly: 100 },
+  send_message: { daily: 50, weekly: 250 },
+  view_profile: { daily: 80, weekly: 400 }
+};
+
+// agentId -> actionType -> [timestamps]
+let usage = loadUsage();
+
+function loadUsage() {
+  try {
+    const data = JSON.parse(readFileSync(QUOTA_STATE_FILE, 'utf8'));
+    return pruneUsage(data, Date.now());
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`[QUOTA] Could not read ${QUOTA_STATE_FILE}, starting with empty counts:`, error.message);
+    }
+    return {};
+  }
+}
+
+function saveUsage() {
+  try {
+    mkdirSync(dirname(QUOTA_STATE_FILE), { recursive: true });
+    writeFileSync(QUOTA_STATE_FILE, JSON.stringify(usage));
+  } catch (error) {
+    logger.warn('[QUOTA] Failed to persist quota counts:', error.message);
+  }
+}
+
+// Drop anything older than the longest window
+function pruneUsage(data, now) {
+  const pruned = {};
+  for (const [agentId, byType] of Object.entries(data || {})) {
+    for (const [actionType, timestamps] of Object.entries(byType || {})) {
+      const recent = (timestamps || []).filter(ts => now - ts < WEEK_MS);
+      if (recent.length > 0) {
+        pruned[agentId] = pruned[agentId] || {};
+        pruned[agentId][actionType] = recent;
+      }
+    }
+  }
+  return pruned;
+}
+
+const ENV_LIMIT_PATTERN = /^QUOTA_[A-Z0-9_]+_(DAILY|WEEKLY)$/;
+
+function parseLimit(value) {
+  return /^\s*\d+\s*$/.test(value) ? parseInt(value) : NaN;
+}
+
+// Throws on QUOTA_*_DAILY / QUOTA_*_WEEKLY values that aren't whole numbers, which would
+// otherwise quietly mean "no limit"
+export function validateQuotaConfig(env = process.env) {
+  const invalid = Object.keys(env)
+    .filter(name => ENV_LIMIT_PATTERN.test(name) && Number.isNaN(parseLimit(env[name])))
+    .map(name => `${name}=${JSON.stringify(env[name])}`);
+
+  if (invalid.length > 0) {
+    throw new Error(`Quota limits must be whole numbers: ${invalid.join(', ')}`);
+  }
+}
+
+function getEnvLimit(actionType, window) {
+  const value = process.env[`QUOTA_${actionType.toUpperCase()}_${window.toUpperCase()}`];
+  return value === undefined ? undefined : parseLimit(value);
+}
+
+// Effective limits for an action type: defaults < worker env < agent settings
+function getLimits(action) {
+  const actionType = action.action_type;
+  const defaults = DEFAULT_LIMITS[actionType];
+  const agentLimits = action.agent?.quotas?.[actionType];
+
+  if (!defaults && !agentLimits) return null;
+
+  return {
+    daily: agentLimits?.daily ?? getEnvLimit(actionType, 'daily') ?? defaults?.daily ?? null,
+    weekly: agentLimits?.weekly ?? getEnvLimit(actionType, 'weekly') ?? defaults?.weekly ?? null
+  };
+}
+
+// ============================================
+// Working hours
+// ============================================
+
+function parseClock(value) {
+  const [hours, minutes = '0'] = String(value).split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// Searching for the next send window formats thousands of timestamps; one formatter per zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    } catch (error) {
+      logger.warn(`[QUOTA] Invalid time zone "${timeZone}", falling back to UTC`);
+      formatters.set(timeZone, getFormatter('UTC'));
+    }
+  }
+  return formatters.get(timeZone);
+}
+
+function getZonedTime(timestamp, timeZone) {
+  const formatter = getFormatter(timeZone);
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value])
+  );
+
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// workingHours: { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5] } (0 = Sunday)
+function isWithinWorkingHours(timestamp, workingHours, timeZone = 'UTC') {
+  if (!workingHours) return true;
+
+  const { weekday, minutes } = getZonedTime(timestamp, timeZone);
+  const days = workingHours.days || [0, 1, 2, 3, 4, 5, 6];
+  if (!days.includes(weekday)) return false;
+
+  const start = parseClock(workingHours.start || '00:00');
+  const end = parseClock(workingHours.end || '24:00');
+
+  // Windows that cross midnight, e.g. 22:00 - 02:00
+  if (start > end) {
+    return minutes >= start || minutes < end;
+  }
+  return minutes >= start && minutes < end;
+}
+
+function nextWorkingTime(timestamp, workingHours, timeZone = 'UTC') {
+  if (isWithinWorkingHours(timestamp, workingHours, timeZone)) return timestamp;
+
+  let candidate = Math.ceil(timestamp / WINDOW_STEP_MS) * WINDOW_STEP_MS;
+  const horizon = timestamp + 8 * DAY_MS;
+
+  while (candidate < horizon) {
+    if (isWithinWorkingHours(candidate, workingHours, timeZone)) return candidate;
+    candidate += WINDOW_STEP_MS;
+  }
+
+  // Misconfigured window (e.g. no days) - never schedule
+  return null;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+// Returns { allowed: true } or { allowed: false, reason, deferUntil, ... }
+export function checkQuota(action, now = Date.now()) {
+  const limits = getLimits(action);
+  if (!limits) return { allowed: true };
+
+  const workingHours = action.agent?.working_hours || null;
+  const timeZone = action.agent?.timezone || 'UTC';
+
+  if (!isWithinWorkingHours(now, workingHours, timeZone)) {
+    const next = nextWorkingTime(now, workingHours, timeZone);
+    return {
+      allowed: false,
+      reason: 'outside_working_hours',
+      deferUntil: next ? new Date(next).toISOString() : null,
+      timeZone
+    };
+  }
+
+  const timestamps = (usage[action.agent_id]?.[action.action_type] || []).slice().sort((a, b) => a - b);
+
+  const windows = [
+    { name: 'weekly', limit: limits.weekly, length: WEEK_MS },
+    { name: 'daily', limit: limits.daily, length: DAY_MS }
+  ];
+
+  for (const window of windows) {
+    if (window.limit === null || window.limit === undefined) continue;
+
+    const inWindow = timestamps.filter(ts => now - ts < window.length);
+    if (inWindow.length >= window.limit) {
+      // The window frees a slot once enough of the oldest entries age out
+      const freesAt = inWindow[inWindow.length - window.limit] + window.length;
+      const next = nextWorkingTime(freesAt, workingHours, timeZone);
+
+      return {
+        allowed: false,
+        reason: `${window.name}_limit_reached`,
+        limit: window.limit,
+        used: inWindow.length,
+        deferUntil: next ? new Date(next).toISOString() : null
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Count a completed action against the agent's quota
+export function recordAction(action, now = Date.now()) {
+  if (!getLimits(action)) return;
+
+  usage = pruneUsage(usage, now);
+  usage[action.agent_id] = usage[action.agent_id] || {};
+  usage[action.agent_id][action.action_type] = usage[action.agent_id][action.action_type] || [];
+  usage[action.agent_id][action.action_type].push(now);
+
+  saveUsage();
+}
+
+// Current rolling counts for an agent, e.g. for heartbeats
+export function getAgentUsage(agentId, now = Date.now()) {
+  const counts = {};
+  for (const [actionType, timestamps] of Object.entries(usage[agentId] || {})) {
+    counts[actionType] = {
+      daily: timestamps.filter(ts => now - ts < DAY_MS).length,
+      weekly: timestamps.filter(ts => now - ts < WEEK_MS).length
+    };
+  }
+  return counts;
+}
@@ -0,0 +1,124 @@
+// ============================================
+// Action handler registry
+// ============================================
+
+const DEFAULT_ACTION_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_NAVIGATION_TIMEOUT = 60000;
+
+// actionType -> definition
+const definitions = new Map();
+// legacy/alternate name -> actionType
+const aliases = new Map();
+
+// definition: {
+//   handler({ page, context, action, agentId }) -> result
+//   schema: { fieldName: { type, required, sources, format, maxLength, min, max, validate } }
+//   requiresLogin: whether the profile must already be signed in to LinkedIn
+//   timeout: overall time budget for the handler (ms)
+//   navigationTimeout: default for page.goto and friends (ms)
+//   aliases: other action_type values that map to this handler
+//   supportsDryRun: the handler honours payload.dryRun (DRY_RUN=true sets it for every such action)
+//   sendsOutreach: the handler sends something to a lead, so unexplained failures aren't retried
+// }
+export function registerAction(actionType, definition) {
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`Action ${actionType} must declare a handler`);
+  }
+
+  definitions.set(actionType, {
+    actionType,
+    schema: {},
+    requiresLogin: true,
+    timeout: DEFAULT_ACTION_TIMEOUT,
+    navigationTimeout: DEFAULT_NAVIGATION_TIMEOUT,
+    aliases: [],
+    ...definition
+  });
+
+  for (const alias of definition.aliases || []) {
+    aliases.set(alias, actionType);
+  }
+}
+
+export function getActionDefinition(actionType) {
+  return definitions.get(actionType) || definitions.get(aliases.get(actionType)) || null;
+}
+
+// Every action_type this worker accepts, aliases included
+export function getSupportedActionTypes() {
+  return [...definitions.keys(), ...aliases.keys()].sort();
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// A field is read from the first source that has a value (default: payload.<field>)
+export function resolveField(action, fieldName, spec = {}) {
+  const sources = spec.sources || [`payload.${fieldName}`];
+  for (const source of sources) {
+    const value = getPath(action, source);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Returns a list of { field, message } problems; empty when the payload is usable.
+// Normalized values (format) are written back to action.payload so handlers see them.
+export function validatePayload(definition, action) {
+  const errors = [];
+
+  for (const [fieldName, spec] of Object.entries(definition.schema || {})) {
+    let value = resolveField(action, fieldName, spec);
+    const required = typeof spec.required === 'function' ? spec.required(action) : !!spec.required;
+
+    if (value === undefined) {
+      if (required) {
+        errors.push({ field: fieldName, message: `${fieldName} is required` });
+      }
+      continue;
+    }
+
+    if (spec.type && typeOf(value) !== spec.type) {
+      errors.push({ field: fieldName, message: `${fieldName} must be a ${spec.type}, got ${typeOf(value)}` });
+      continue;
+    }
+
+    if (spec.format) {
+      const formatted = spec.format(value);
+      if (formatted.error) {
+        errors.push({ field: fieldName, message: `${fieldName} ${formatted.error}` });
+        continue;
+      }
+      value = formatted.value;
+    }
+
+    if (spec.maxLength && value.length > spec.maxLength) {
+      errors.push({ field: fieldName, message: `${fieldName} is ${value.length} characters, limit is ${spec.maxLength}` });
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push({ field: fieldName, message: `${fieldName} must be at least ${spec.min}` });
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push({ field: fieldName, message: `${fieldName} must be at most ${spec.max}` });
+    }
+
+    // Cross-field or action-specific checks return an error message or null
+    const customError = spec.validate?.(value, action);
+    if (customError) {
+      errors.push({ field: fieldName, message: `${fieldName} ${customError}` });
+    }
+
+    if (spec.format) {
+      action.payload = { ...action.payload, [fieldName]: value };
+    }
+  }
+
+  return errors;
+}
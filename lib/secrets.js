@@ -0,0 +1,136 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { registerSecret } from './logger.js';
+import { NonRetryableError } from './errors.js';
+
+// ============================================
+// Envelope-encrypted credentials and cookies
+// ============================================
+//
+// Any credential or cookie field may be sent as an envelope instead of plaintext:
+//   { "$envelope": "v1", "kid": "2025-01", "key": "<wrapped data key>", "iv": "...", "tag": "...", "data": "..." }
+//
+// The value is AES-256-GCM encrypted under a random data key; the data key is AES-256-GCM
+// encrypted ("wrapped") under the key-encryption key named by kid. All binary fields are base64.
+//
+// CREDENTIAL_ENCRYPTION_KEY   base64 32-byte key-encryption key (enables encryption both ways)
+// CREDENTIAL_KEY_ID           its kid (default "default")
+// CREDENTIAL_PREVIOUS_KEYS    "kid:base64key,..." still accepted for decryption during key rotation
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function parseKey(base64, kid) {
+  const key = Buffer.from(base64, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Credential key "${kid}" must be 32 bytes of base64 (got ${key.length} bytes)`);
+  }
+  return key;
+}
+
+function loadKeys(env) {
+  const keys = new Map();
+  if (!env.CREDENTIAL_ENCRYPTION_KEY) return { currentKid: null, keys };
+
+  const currentKid = env.CREDENTIAL_KEY_ID || 'default';
+  keys.set(currentKid, parseKey(env.CREDENTIAL_ENCRYPTION_KEY, currentKid));
+
+  for (const entry of (env.CREDENTIAL_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const kid = entry.slice(0, separator).trim();
+    keys.set(kid, parseKey(entry.slice(separator + 1).trim(), kid));
+  }
+
+  return { currentKid, keys };
+}
+
+const { currentKid, keys } = loadKeys(process.env);
+
+function seal(key, plaintext) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function open(key, { iv, tag, data }) {
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+export function isEnvelope(value) {
+  return value !== null && typeof value === 'object' && value.$envelope === ENVELOPE_VERSION;
+}
+
+export function hasEncryptionKey() {
+  return currentKid !== null;
+}
+
+export function encryptSecret(plaintext) {
+  if (!hasEncryptionKey()) {
+    throw new Error('CREDENTIAL_ENCRYPTION_KEY is not set');
+  }
+
+  const dataKey = randomBytes(32);
+  const wrapped = seal(keys.get(currentKid), dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return {
+    $envelope: ENVELOPE_VERSION,
+    kid: currentKid,
+    key: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+    iv: sealed.iv.toString('base64'),
+    tag: sealed.tag.toString('base64'),
+    data: sealed.data.toString('base64')
+  };
+}
+
+// Envelope -> plaintext (registered for redaction); anything else is returned unchanged.
+// Errors never include the envelope or key material.
+export function decryptSecret(value) {
+  if (!isEnvelope(value)) return value;
+
+  const key = keys.get(value.kid || 'default');
+  if (!key) {
+    throw new NonRetryableError(`No credential key configured for kid "${value.kid}"`, { code: 'credential_key_missing' });
+  }
+
+  let plaintext;
+  try {
+    const wrapped = Buffer.from(value.key, 'base64');
+    const dataKey = open(key, {
+      iv: wrapped.subarray(0, IV_LENGTH),
+      tag: wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      data: wrapped.subarray(IV_LENGTH + TAG_LENGTH)
+    });
+    plaintext = open(dataKey, {
+      iv: Buffer.from(value.iv, 'base64'),
+      tag: Buffer.from(value.tag, 'base64'),
+      data: Buffer.from(value.data, 'base64')
+    }).toString('utf8');
+  } catch {
+    throw new NonRetryableError(`Could not decrypt credential envelope (kid "${value.kid}")`, { code: 'credential_decryption_failed' });
+  }
+
+  registerSecret(plaintext);
+  return plaintext;
+}
+
+// Decrypt every envelope in a payload-like object (returns a new object)
+export function decryptEnvelopes(value, depth = 0) {
+  if (isEnvelope(value)) return decryptSecret(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => decryptEnvelopes(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, decryptEnvelopes(item, depth + 1)])
+  );
+}
+
+// Outgoing secrets are encrypted whenever a key is configured, plaintext otherwise
+export function sealSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+  return hasEncryptionKey() ? encryptSecret(plaintext) : plaintext;
+}
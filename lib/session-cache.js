@@ -0,0 +1,128 @@
+import { logger } from './logger.js';
+
+// ============================================
+// Warm browser session cache (keyed by browser profile)
+// ============================================
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+// openSession(profileId, target) -> { browser, context, page } (browser is null for persistent contexts)
+// closeSession(session) tears the browser down (and stops the profile)
+// idleTimeout of 0 disables reuse: sessions are closed as soon as they are released
+export function createSessionCache({ idleTimeout, openSession, closeSession }) {
+  // profileId -> { session, inUse, lastUsed, idleTimer }
+  const entries = new Map();
+
+  async function isHealthy(session) {
+    if ((session.browser && !session.browser.isConnected()) || session.page.isClosed()) {
+      return false;
+    }
+
+    let timer;
+    try {
+      await Promise.race([
+        session.page.evaluate(() => document.readyState),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timeout')), HEALTH_CHECK_TIMEOUT);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      logger.warn(`[SESSION] Health check failed for profile ${session.profileId}:`, error.message);
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function evict(profileId) {
+    const entry = entries.get(profileId);
+    if (!entry) return;
+
+    entries.delete(profileId);
+    clearTimeout(entry.idleTimer);
+
+    logger.info(`[SESSION] Closing session for profile ${profileId}`);
+    await closeSession(entry.session).catch(error => {
+      logger.warn(`[SESSION] Error closing session for profile ${profileId}:`, error.message);
+    });
+  }
+
+  // Get a healthy session for the profile, reusing a warm one when possible.
+  // target is passed through to openSession when a new session is needed.
+  async function acquire(profileId, target) {
+    const entry = entries.get(profileId);
+
+    if (entry) {
+      // Never tear down a session another action is still driving
+      if (entry.inUse) {
+        throw new Error(`Session for profile ${profileId} is already in use`);
+      }
+
+      clearTimeout(entry.idleTimer);
+      // Claimed while the health check runs, so a concurrent acquire can't take it too
+      entry.inUse = true;
+
+      if (await isHealthy(entry.session)) {
+        logger.info(`[SESSION] Reusing warm session for profile ${profileId}`);
+        return entry.session;
+      }
+
+      await evict(profileId);
+    }
+
+    const opened = await openSession(profileId, target);
+    const session = { ...opened, profileId };
+
+    // Drop the entry as soon as the CDP connection (or the persistent context) goes away
+    const onGone = () => {
+      const current = entries.get(profileId);
+      if (current?.session === session) {
+        logger.warn(`[SESSION] Browser disconnected for profile ${profileId}`);
+        clearTimeout(current.idleTimer);
+        entries.delete(profileId);
+      }
+    };
+    if (session.browser) {
+      session.browser.on('disconnected', onGone);
+    } else {
+      session.context.on('close', onGone);
+    }
+
+    entries.set(profileId, { session, inUse: true, lastUsed: Date.now(), idleTimer: null });
+    return session;
+  }
+
+  // Return a session to the cache; evict it if the action failed or reuse is disabled
+  async function release(profileId, { evict: shouldEvict = false } = {}) {
+    const entry = entries.get(profileId);
+    if (!entry) return;
+
+    if (shouldEvict || idleTimeout <= 0) {
+      await evict(profileId);
+      return;
+    }
+
+    entry.inUse = false;
+    entry.lastUsed = Date.now();
+    entry.idleTimer = setTimeout(() => {
+      logger.info(`[SESSION] Session for profile ${profileId} idle for ${idleTimeout / 1000}s`);
+      evict(profileId);
+    }, idleTimeout);
+    entry.idleTimer.unref?.();
+  }
+
+  async function closeAll() {
+    await Promise.all([...entries.keys()].map(profileId => evict(profileId)));
+  }
+
+  function list() {
+    return [...entries.entries()].map(([profileId, entry]) => ({
+      profileId,
+      inUse: entry.inUse,
+      lastUsed: new Date(entry.lastUsed).toISOString()
+    }));
+  }
+
+  return { acquire, release, evict, closeAll, list };
+}
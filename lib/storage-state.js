@@ -0,0 +1,90 @@
+import { registerSecret } from './logger.js';
+
+// ============================================
+// LinkedIn storage state (cookie jar + localStorage)
+// ============================================
+//
+// Same shape as Playwright's context.storageState(), restricted to LinkedIn:
+//   { cookies: [{ name, value, domain, path, expires, httpOnly, secure, sameSite }],
+//     origins: [{ origin: 'https://www.linkedin.com', localStorage: [{ name, value }] }] }
+// expires is in Unix seconds, -1 for session cookies.
+
+// Cookies whose expiry ends the signed-in session
+export const AUTH_COOKIE_NAMES = ['li_at', 'li_a', 'JSESSIONID', 'li_rm'];
+
+function isLinkedInHost(host) {
+  return /(^|\.)linkedin\.com$/i.test(String(host).replace(/^\./, ''));
+}
+
+function isLinkedInOrigin(origin) {
+  try {
+    return isLinkedInHost(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Accepts a state object or its JSON string; drops other sites and expired cookies.
+// Throws on anything that isn't a storage state.
+export function normalizeStorageState(input, now = Date.now()) {
+  const state = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!state || typeof state !== 'object' || !Array.isArray(state.cookies)) {
+    throw new Error('must be a storage state with a cookies array');
+  }
+
+  const cookies = state.cookies.filter(cookie =>
+    cookie && typeof cookie.name === 'string' && typeof cookie.value === 'string' &&
+    isLinkedInHost(cookie.domain || '') &&
+    (cookie.expires === undefined || cookie.expires <= 0 || cookie.expires * 1000 > now)
+  );
+
+  const origins = (Array.isArray(state.origins) ? state.origins : [])
+    .filter(origin => isLinkedInOrigin(origin?.origin) && Array.isArray(origin.localStorage))
+    .map(origin => ({ origin: origin.origin, localStorage: origin.localStorage }));
+
+  return { cookies, origins };
+}
+
+// Earliest expiry (ISO) among the session cookies, or null if they are all session-scoped
+export function getEarliestExpiry(state, names = AUTH_COOKIE_NAMES) {
+  const expiries = state.cookies
+    .filter(cookie => names.includes(cookie.name) && cookie.expires > 0)
+    .map(cookie => cookie.expires * 1000);
+
+  return expiries.length > 0 ? new Date(Math.min(...expiries)).toISOString() : null;
+}
+
+function registerAuthCookies(state) {
+  state.cookies
+    .filter(cookie => AUTH_COOKIE_NAMES.includes(cookie.name))
+    .forEach(cookie => registerSecret(cookie.value));
+}
+
+// Only origins with an open page contribute localStorage, so call this while on linkedin.com
+export async function exportStorageState(context) {
+  const state = normalizeStorageState(await context.storageState());
+  registerAuthCookies(state);
+  return state;
+}
+
+export async function restoreStorageState(context, page, input) {
+  const state = normalizeStorageState(input);
+  registerAuthCookies(state);
+
+  await context.addCookies(state.cookies);
+
+  // localStorage can only be written from a page on the same origin
+  for (const { origin, localStorage } of state.origins) {
+    if (localStorage.length === 0) continue;
+
+    await page.goto(origin, { waitUntil: 'domcontentloaded' });
+    await page.evaluate(items => {
+      for (const { name, value } of items) {
+        window.localStorage.setItem(name, value);
+      }
+    }, localStorage);
+  }
+
+  return state;
+}
@@ -0,0 +1,160 @@
+// ============================================
+// Message templating
+// ============================================
+//
+// {{first_name}}            variable, required
+// {{company|your team}}     variable with fallback when missing
+// {Hi|Hello|Hey}            spintax - one option picked at random (may be nested);
+//                           with a seed the same template always picks the same options.
+//                           Braces without a | (e.g. {50% off}) are left as they are
+
+export const CONNECTION_NOTE_LIMIT = 300;
+export const MESSAGE_LIMIT = 8000;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z0-9_]+)\s*(?:\|([^}]*))?\}\}/gi;
+const BRACE_GROUP_PATTERN = /\{([^{}]*)\}/;
+
+export class TemplateError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    Object.assign(this, details);
+  }
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Variables a template references, and whether each has a fallback
+export function getTemplateVariables(template) {
+  return [...String(template || '').matchAll(VARIABLE_PATTERN)].map(match => ({
+    name: match[1].toLowerCase(),
+    hasFallback: match[2] !== undefined
+  }));
+}
+
+// Template variables from the lead record the poller attaches to the action
+export function variablesFromLead(lead) {
+  if (!lead) return {};
+
+  const fullName = lead.full_name || lead.name || [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+  const [firstName, ...rest] = (fullName || '').split(' ');
+
+  return {
+    first_name: lead.first_name || firstName,
+    last_name: lead.last_name || rest.join(' '),
+    full_name: fullName,
+    company: lead.company || lead.company_name,
+    title: lead.title || lead.job_title,
+    headline: lead.headline,
+    location: lead.location
+  };
+}
+
+// Template variables from scrapeProfile() output
+export function variablesFromProfile(profile) {
+  if (!profile) return {};
+
+  return {
+    first_name: profile.firstName,
+    last_name: profile.lastName,
+    full_name: profile.name,
+    company: profile.currentCompany,
+    title: profile.currentTitle,
+    headline: profile.headline,
+    location: profile.location
+  };
+}
+
+// Earlier sources win; blank values never shadow later ones
+export function mergeVariables(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      const name = key.toLowerCase();
+      if (!isPresent(merged[name]) && isPresent(value)) {
+        merged[name] = String(value).trim();
+      }
+    }
+  }
+  return merged;
+}
+
+// Names of required variables the given values can't satisfy
+export function findMissingVariables(template, variables) {
+  const missing = getTemplateVariables(template)
+    .filter(variable => !variable.hasFallback && !isPresent(variables[variable.name]))
+    .map(variable => variable.name);
+  return [...new Set(missing)];
+}
+
+// Deterministic [0, 1) generator (mulberry32) seeded from a string
+function seededRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveSpintax(text, random) {
+  const literals = [];
+  let result = text;
+  let match;
+  // Innermost groups first so nesting works; groups without options are shielded as plain text
+  while ((match = result.match(BRACE_GROUP_PATTERN))) {
+    let replacement;
+    if (match[1].includes('|')) {
+      const options = match[1].split('|');
+      replacement = options[Math.floor(random() * options.length)];
+    } else {
+      literals.push(match[0]);
+      replacement = `\u0001${literals.length - 1}\u0001`;
+    }
+    result = result.slice(0, match.index) + replacement + result.slice(match.index + match[0].length);
+  }
+
+  // Literals can contain other literals, e.g. {a {b}}
+  while (/\u0001\d+\u0001/.test(result)) {
+    result = result.replace(/\u0001(\d+)\u0001/g, (_, index) => literals[index]);
+  }
+  return result;
+}
+
+export function renderTemplate(template, variables = {}, { maxLength = null, label = 'Message', seed = null } = {}) {
+  const missing = findMissingVariables(template, variables);
+  if (missing.length > 0) {
+    throw new TemplateError(`${label} template is missing required variables: ${missing.join(', ')}`, {
+      missingVariables: missing
+    });
+  }
+
+  // Shield variables from spintax parsing, then substitute them back in
+  const values = [];
+  const shielded = String(template).replace(VARIABLE_PATTERN, (_, name, fallback) => {
+    const value = variables[name.toLowerCase()];
+    values.push(isPresent(value) ? value : (fallback || '').trim());
+    return `\u0000${values.length - 1}\u0000`;
+  });
+
+  const rendered = resolveSpintax(shielded, seed === null ? Math.random : seededRandom(seed))
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => values[index])
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ +([,.!?])/g, '$1')
+    .trim();
+
+  if (maxLength && rendered.length > maxLength) {
+    throw new TemplateError(`${label} is ${rendered.length} characters; LinkedIn allows ${maxLength}`, {
+      length: rendered.length,
+      maxLength
+    });
+  }
+
+  return rendered;
+}
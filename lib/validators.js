@@ -0,0 +1,88 @@
+import { normalizeStorageState } from './storage-state.js';
+
+// ============================================
+// Payload field formats
+// ============================================
+//
+// Each format takes the raw value and returns { value } (possibly normalized) or { error }.
+
+const LI_COOKIE_PATTERN = /^[A-Za-z0-9_\-.~%=+/]+$/;
+
+// https://linkedin.com/in/jane-doe?trk=... -> https://www.linkedin.com/in/jane-doe/
+export function linkedinProfileUrl(input) {
+  let raw = String(input).trim();
+  if (!/^https?:\/\//i.test(raw)) raw = `https://${raw}`;
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return { error: `is not a valid URL (got "${input}")` };
+  }
+
+  if (!/(^|\.)linkedin\.com$/i.test(url.hostname)) {
+    return { error: `must be a linkedin.com URL (got "${url.hostname}")` };
+  }
+
+  const match = url.pathname.match(/^\/in\/([^/]+)\/?/i);
+  if (!match) {
+    return { error: `must be a LinkedIn profile URL like https://www.linkedin.com/in/<name>/ (got "${url.pathname}")` };
+  }
+
+  return { value: `https://www.linkedin.com/in/${match[1]}/` };
+}
+
+// Accepts the bare value or a pasted "li_at=...;" / quoted value
+function linkedinCookie(cookieName) {
+  return input => {
+    const value = String(input)
+      .trim()
+      .replace(new RegExp(`^${cookieName}=`), '')
+      .replace(/;.*$/, '')
+      .replace(/^"(.*)"$/, '$1');
+
+    if (value.length < 50) {
+      return { error: `does not look like a ${cookieName} cookie (too short: ${value.length} characters)` };
+    }
+    if (!LI_COOKIE_PATTERN.test(value)) {
+      return { error: `does not look like a ${cookieName} cookie (contains whitespace or invalid characters)` };
+    }
+
+    return { value };
+  };
+}
+
+export const liAtCookie = linkedinCookie('li_at');
+export const liACookie = linkedinCookie('li_a');
+
+// LinkedIn accepts an email address or a phone number as the login
+export function loginIdentifier(input) {
+  const value = String(input).trim();
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || /^\+?[0-9][0-9\s\-()]{6,}$/.test(value)) {
+    return { value };
+  }
+  return { error: 'must be an email address or phone number' };
+}
+
+export function isoTimestamp(input) {
+  const time = new Date(input).getTime();
+  if (Number.isNaN(time)) {
+    return { error: `must be an ISO 8601 timestamp (got "${input}")` };
+  }
+  return { value: new Date(time).toISOString() };
+}
+
+// Playwright storage state (object or JSON string), limited to LinkedIn cookies and origins
+export function storageState(input) {
+  let state;
+  try {
+    state = normalizeStorageState(input);
+  } catch (error) {
+    return { error: error instanceof SyntaxError ? 'is not valid JSON' : error.message };
+  }
+
+  if (!state.cookies.some(cookie => cookie.name === 'li_at')) {
+    return { error: 'has no unexpired li_at cookie' };
+  }
+  return { value: state };
+}
@@ -0,0 +1,52 @@
+import { readFileSync } from 'node:fs';
+import { logger } from './lib/logger.js';
+import { createMockEdgeServer } from './lib/mock-edge-server.js';
+
+// ============================================
+// Local mock of the Supabase edge functions
+// ============================================
+//
+//   node mock-server.js [scenario.json]
+//
+// Then run the worker against it, e.g. with a local browser:
+//   SUPABASE_URL=http://127.0.0.1:54321 WORKER_SECRET=<same secret> BROWSER_PROVIDER=local \
+//     CAPTCHA_INLINE_SCREENSHOTS=true node worker.js
+//
+// See lib/mock-edge-server.js for the endpoints and the QA control API.
+
+const MOCK_PORT = parseInt(process.env.MOCK_PORT || '54321');
+const MOCK_HOST = process.env.MOCK_HOST || '127.0.0.1';
+const WORKER_SECRET = process.env.WORKER_SECRET || null;
+
+const scenarioFile = process.argv[2];
+let scenario = {};
+if (scenarioFile) {
+  try {
+    scenario = JSON.parse(readFileSync(scenarioFile, 'utf8'));
+  } catch (error) {
+    logger.error(`Could not read scenario ${scenarioFile}:`, error.message);
+    process.exit(1);
+  }
+}
+
+const mock = createMockEdgeServer({ secret: WORKER_SECRET, scenario });
+
+try {
+  await mock.listen(MOCK_PORT, MOCK_HOST);
+} catch (error) {
+  logger.error(`Could not listen on ${MOCK_HOST}:${MOCK_PORT}:`, error.message);
+  process.exit(1);
+}
+
+const { agents, actions } = mock.snapshot();
+logger.info(`[MOCK] Edge functions on http://${MOCK_HOST}:${MOCK_PORT}/functions/v1/ (${agents.length} agents, ${actions.length} actions queued)`);
+if (!WORKER_SECRET) {
+  logger.warn('[MOCK] WORKER_SECRET is not set, accepting any worker');
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    await mock.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,130 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = mkdtempSync(join(tmpdir(), 'linkedin-worker-journal-'));
+process.env.ACTION_JOURNAL_FILE = join(dir, 'journal.json');
+process.env.LOG_LEVEL ||= 'error';
+
+const journal = await import('../lib/action-journal.js');
+const { createMockEdgeServer } = await import('../lib/mock-edge-server.js');
+
+const message = (id, extra = {}) => ({
+  id,
+  action_type: 'send_message',
+  agent_id: 'agent-1',
+  payload: { linkedin_url: 'https://www.linkedin.com/in/jane-doe/', message: 'Hi Jane', ...extra }
+});
+
+describe('action journal', () => {
+  it('finds completed actions by id and by idempotency key', () => {
+    journal.recordCompletedAction(message('action-1', { idempotencyKey: 'campaign-7:lead-3' }), {
+      status: 'completed',
+      result: { success: true, sentText: 'Hi Jane' },
+      errorMessage: null
+    });
+
+    assert.equal(journal.findCompletedAction(message('action-1')).actionId, 'action-1');
+    assert.equal(journal.findCompletedAction(message('action-2', { idempotencyKey: 'campaign-7:lead-3' })).actionId, 'action-1');
+    assert.equal(journal.findCompletedAction({ ...message('action-3'), idempotency_key: 'campaign-7:lead-3' }).actionId, 'action-1');
+    assert.equal(journal.findCompletedAction(message('action-4', { idempotencyKey: 'campaign-7:lead-4' })), null);
+    // The same key from another agent or for another action type is a different action
+    assert.equal(journal.findCompletedAction({ ...message('action-5', { idempotencyKey: 'campaign-7:lead-3' }), agent_id: 'agent-2' }), null);
+    assert.equal(journal.findCompletedAction({ ...message('action-6', { idempotencyKey: 'campaign-7:lead-3' }), action_type: 'send_connection' }), null);
+  });
+
+  it('keeps entries unreported until the report gets through, on disk', () => {
+    assert.deepEqual(journal.getUnreportedActions().map(entry => entry.actionId), ['action-1']);
+
+    journal.markActionReported('action-1');
+
+    assert.deepEqual(journal.getUnreportedActions(), []);
+    const stored = JSON.parse(readFileSync(process.env.ACTION_JOURNAL_FILE, 'utf8'));
+    assert.equal(stored['action-1'].reported, true);
+    assert.equal(stored['action-1'].idempotencyKey, 'campaign-7:lead-3');
+  });
+});
+
+describe('worker.js with a journal', () => {
+  it('replays lost reports and never re-runs completed actions', async () => {
+    const workerJournal = join(dir, 'worker-journal.json');
+    const completedAt = Date.now();
+    writeFileSync(workerJournal, JSON.stringify({
+      // Sent, but worker-report never heard about it
+      'action-lost': {
+        actionId: 'action-lost', idempotencyKey: null, actionType: 'send_message', agentId: 'agent-1',
+        completedAt, reported: false,
+        report: { status: 'completed', result: { success: true, sentText: 'Hi Jane' }, errorMessage: null, attempt: 1 }
+      },
+      // Reported, yet handed out again by the backend
+      'action-requeued': {
+        actionId: 'action-requeued', idempotencyKey: null, actionType: 'send_message', agentId: 'agent-3',
+        completedAt, reported: true,
+        report: { status: 'completed', result: { success: true, sentText: 'Hi Alex' }, errorMessage: null, attempt: 1 }
+      },
+      'action-done': {
+        actionId: 'action-done', idempotencyKey: 'campaign-7:lead-3', actionType: 'send_message', agentId: 'agent-2',
+        completedAt, reported: true,
+        report: { status: 'completed', result: { success: true, sentText: 'Hello Sam' }, errorMessage: null, attempt: 1 }
+      }
+    }));
+
+    const mock = createMockEdgeServer({
+      scenario: {
+        actions: [
+          message('action-lost'),
+          { ...message('action-requeued'), agent_id: 'agent-3' },
+          // Same idempotency key as an action this worker already completed
+          { ...message('action-dup', { idempotencyKey: 'campaign-7:lead-3' }), agent_id: 'agent-2' }
+        ]
+      }
+    });
+    const { port } = await mock.listen(0);
+
+    const worker = spawn(process.execPath, ['worker.js'], {
+      cwd: new URL('..', import.meta.url),
+      env: {
+        ...process.env,
+        SUPABASE_URL: `http://127.0.0.1:${port}`,
+        WORKER_SECRET: 'secret',
+        WORKER_ID: 'journal-e2e',
+        BROWSER_PROVIDER: 'local',
+        ARTIFACT_STORE: 'none',
+        CAPTCHA_INLINE_SCREENSHOTS: 'false',
+        ACTION_JOURNAL_FILE: workerJournal,
+        QUOTA_STATE_FILE: join(dir, 'quota.json'),
+        POLL_INTERVAL: '200'
+      },
+      stdio: 'ignore'
+    });
+
+    try {
+      const started = Date.now();
+      while (mock.snapshot().actions.some(action => action.status !== 'completed')) {
+        if (Date.now() - started > 20000) throw new Error('Timed out waiting for reports');
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    } finally {
+      worker.kill('SIGTERM');
+      await once(worker, 'exit');
+      await mock.close();
+    }
+
+    const reports = Object.fromEntries(mock.snapshot().actions.map(action => [action.id, action.reports]));
+    // Replayed before the first poll; the other two were answered from the journal without a browser
+    assert.equal(reports['action-lost'].length, 1);
+    assert.equal(reports['action-lost'][0].replayed, true);
+    assert.deepEqual(reports['action-lost'][0].result, { success: true, sentText: 'Hi Jane' });
+    assert.deepEqual(reports['action-requeued'][0].result, { success: true, sentText: 'Hi Alex' });
+    assert.deepEqual(reports['action-dup'][0].result, { success: true, sentText: 'Hello Sam', duplicateOf: 'action-done' });
+
+    const stored = JSON.parse(readFileSync(workerJournal, 'utf8'));
+    assert.ok(Object.values(stored).every(entry => entry.reported));
+  });
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
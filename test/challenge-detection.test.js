@@ -0,0 +1,72 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers/worker.js';
+import { launchBrowser, openFixture } from './helpers/browser.js';
+
+const { worker, stub } = await loadWorker();
+const browser = await launchBrowser();
+
+describe('detectChallengeType', { skip: !browser }, () => {
+  const cases = [
+    { fixture: 'login.html', path: '/login', expected: { type: 'none' } },
+    { fixture: 'wrong-password.html', path: '/checkpoint/lg/login-submit', expected: { type: 'invalid_credentials', ruleId: 'invalid_credentials_text', locale: 'en' } },
+    { fixture: 'wrong-password-de.html', path: '/checkpoint/lg/login-submit', expected: { type: 'invalid_credentials', locale: 'de' } },
+    { fixture: 'captcha.html', path: '/checkpoint/challenge/AQE', expected: { type: 'captcha', ruleId: 'captcha_iframe' } },
+    { fixture: 'email-pin.html', path: '/checkpoint/challenge/AQE', expected: { type: 'email_sms_2fa', method: 'email' } },
+    { fixture: 'app-approval.html', path: '/checkpoint/challenge/AQE', expected: { type: 'app_approval' } },
+    { fixture: 'restricted.html', path: '/checkpoint/challenge/restricted', expected: { type: 'account_locked' } },
+    { fixture: 'feed.html', path: '/feed', expected: { type: 'none' } }
+  ];
+
+  for (const { fixture, path, expected } of cases) {
+    it(`classifies ${fixture} as ${expected.type}`, async () => {
+      const { context, page } = await openFixture(browser, path, fixture);
+      try {
+        const challenge = await worker.detectChallengeType(page);
+        assert.deepEqual(
+          Object.fromEntries(Object.keys(expected).map(key => [key, challenge[key]])),
+          expected
+        );
+        assert.equal(challenge.confidence > 0, expected.type !== 'none');
+      } finally {
+        await context.close();
+      }
+    });
+  }
+});
+
+describe('verifyLogin', { skip: !browser }, () => {
+  it('accepts the feed', async () => {
+    const { context, page } = await openFixture(browser, '/feed', 'feed.html');
+    try {
+      assert.equal(await worker.verifyLogin(page), true);
+    } finally {
+      await context.close();
+    }
+  });
+
+  it('accepts any page with the signed-in nav', async () => {
+    const { context, page } = await openFixture(browser, '/in/jane-doe', 'profile-connect.html');
+    try {
+      assert.equal(await worker.verifyLogin(page), true);
+    } finally {
+      await context.close();
+    }
+  });
+
+  for (const [path, fixture] of [['/login', 'login.html'], ['/checkpoint/challenge/AQE', 'email-pin.html']]) {
+    it(`rejects ${fixture}`, async () => {
+      const { context, page } = await openFixture(browser, path, fixture);
+      try {
+        assert.equal(await worker.verifyLogin(page), false);
+      } finally {
+        await context.close();
+      }
+    });
+  }
+});
+
+after(async () => {
+  await browser?.close();
+  await stub.close();
+});
@@ -0,0 +1,275 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadWorker } from './helpers/worker.js';
+import { startEdgeStub } from './helpers/edge-stub.js';
+
+const { worker, stub } = await loadWorker({
+  'worker-poll': () => ({ actions: [{ id: 'action-1' }] }),
+  'worker-heartbeat': () => ({ httpStatus: 503, body: { error: 'maintenance' } })
+});
+const { registerSecret } = await import('../lib/logger.js');
+
+describe('callEdgeFunction', () => {
+  beforeEach(() => stub.reset());
+
+  it('posts the body with the worker secret and returns the JSON response', async () => {
+    const data = await worker.callEdgeFunction('worker-poll', { workerId: 'test-worker', limit: 2 });
+
+    assert.deepEqual(data, { actions: [{ id: 'action-1' }] });
+    assert.deepEqual(stub.calls, [{
+      name: 'worker-poll',
+      body: { workerId: 'test-worker', limit: 2 },
+      secret: 'test-secret'
+    }]);
+  });
+
+  it('throws with the HTTP status on a failed call', async () => {
+    await assert.rejects(
+      worker.callEdgeFunction('worker-heartbeat', { workerId: 'test-worker' }),
+      error => error.status === 503 && /worker-heartbeat failed: 503/.test(error.message)
+    );
+  });
+});
+
+describe('reportResult', () => {
+  beforeEach(() => stub.reset());
+
+  it('redacts registered secrets from results and error messages', async () => {
+    registerSecret('s3cret-password');
+
+    await worker.reportResult('action-1', 'failed', { echoed: 'typed s3cret-password' }, 'Login failed for s3cret-password');
+
+    const [report] = stub.callsTo('worker-report');
+    assert.equal(report.actionId, 'action-1');
+    assert.equal(report.status, 'failed');
+    assert.ok(!JSON.stringify(report).includes('s3cret-password'));
+  });
+
+  it('logs instead of throwing when the report is rejected', async () => {
+    stub.handlers['worker-report'] = () => ({ httpStatus: 500, body: { error: 'boom' } });
+
+    await worker.reportResult('action-1', 'completed', { success: true });
+
+    assert.equal(stub.callsTo('worker-report').length, 1);
+  });
+});
+
+describe('renewLease', () => {
+  beforeEach(() => stub.reset());
+
+  it('counts only an explicit confirmation as renewed', async () => {
+    stub.handlers['worker-poll'] = () => ({ leaseRenewed: true });
+    assert.deepEqual(await worker.renewLease('action-1'), { renewed: true });
+
+    stub.handlers['worker-poll'] = () => ({ leaseRenewed: false, ownerWorkerId: 'other-worker' });
+    assert.deepEqual(await worker.renewLease('action-1'), { renewed: false, ownerWorkerId: 'other-worker' });
+  });
+
+  it('rejects a normal poll response instead of treating it as a renewal', async () => {
+    stub.handlers['worker-poll'] = () => ({ actions: [] });
+
+    await assert.rejects(worker.renewLease('action-1'), { code: 'lease_unconfirmed' });
+  });
+});
+
+// A CDP endpoint that never answers: an action using it keeps its agent busy until release()
+async function startHangingCdp() {
+  const sockets = new Set();
+  const server = createServer(() => {});
+  server.on('connection', socket => sockets.add(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const release = () => {
+    for (const socket of sockets) socket.destroy();
+  };
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    release,
+    close: () => {
+      release();
+      server.close();
+    }
+  };
+}
+
+// Journal and quota state of each spawned worker start out empty
+const stateDirs = [];
+
+function spawnWorker(edgeUrl, env = {}) {
+  const stateDir = mkdtempSync(join(tmpdir(), 'linkedin-worker-spawned-'));
+  stateDirs.push(stateDir);
+  return spawn(process.execPath, ['worker.js'], {
+    cwd: new URL('..', import.meta.url),
+    env: {
+      ...process.env,
+      SUPABASE_URL: edgeUrl,
+      WORKER_SECRET: 'test-secret',
+      WORKER_ID: 'spawned-test',
+      BROWSER_PROVIDER: 'local',
+      ARTIFACT_STORE: 'none',
+      CAPTCHA_INLINE_SCREENSHOTS: 'false',
+      QUOTA_STATE_FILE: join(stateDir, 'quota.json'),
+      ACTION_JOURNAL_FILE: join(stateDir, 'journal.json'),
+      POLL_INTERVAL: '200',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+}
+
+async function stopWorker(worker) {
+  worker.kill('SIGTERM');
+  await once(worker, 'exit');
+}
+
+async function waitUntil(predicate, what) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > 20000) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+const MESSAGE_PAYLOAD = { linkedin_url: 'https://www.linkedin.com/in/jane-doe/', message: 'Hi Jane' };
+
+describe('worker.js leases', () => {
+  it('drops queued actions whose lease was taken over while they waited', async () => {
+    const hangingCdp = await startHangingCdp();
+
+    let handedOut = false;
+    const leaseStub = await startEdgeStub({
+      'worker-poll': body => {
+        if (body.renewLease === 'action-queued') return { leaseRenewed: false, ownerWorkerId: 'other-worker' };
+        if (body.renewLease) return { leaseRenewed: true };
+        if (handedOut) return { actions: [] };
+        handedOut = true;
+        return {
+          actions: [
+            {
+              id: 'action-running', action_type: 'send_message', agent_id: 'agent-1', payload: MESSAGE_PAYLOAD,
+              browser_profile: { provider: 'cdp', cdp_url: hangingCdp.url }
+            },
+            // Would fail straight away (no GoLogin token) and report, if it ever ran
+            { id: 'action-queued', action_type: 'send_message', agent_id: 'agent-1', payload: MESSAGE_PAYLOAD, browser_profile: { provider: 'gologin' } }
+          ]
+        };
+      }
+    });
+
+    const worker = spawnWorker(leaseStub.url, { LEASE_RENEW_INTERVAL: '500' });
+
+    try {
+      // Several renewal intervals pass while the second action waits for agent-1
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Free agent-1; a queued action that was not dropped would run and report now
+      hangingCdp.release();
+      await waitUntil(() => leaseStub.callsTo('worker-report').some(report => report.actionId === 'action-running'), 'the running action');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } finally {
+      await stopWorker(worker);
+      await leaseStub.close();
+      hangingCdp.close();
+    }
+
+    assert.ok(leaseStub.callsTo('worker-poll').some(body => body.renewLease === 'action-queued'));
+    // Dropped without a report: the action belongs to the other worker now
+    assert.deepEqual(leaseStub.callsTo('worker-report').filter(report => report.actionId === 'action-queued'), []);
+  });
+});
+
+describe('worker.js polling', () => {
+  it('keeps polling for other agents while one agent has a backlog', async () => {
+    const hangingCdp = await startHangingCdp();
+
+    let handedOut = false;
+    const pollStub = await startEdgeStub({
+      'worker-poll': body => {
+        if (body.renewLease) return { leaseRenewed: true };
+        if (handedOut) return { actions: [] };
+        handedOut = true;
+        return {
+          actions: [
+            {
+              id: 'action-running', action_type: 'send_message', agent_id: 'agent-1', payload: MESSAGE_PAYLOAD,
+              browser_profile: { provider: 'cdp', cdp_url: hangingCdp.url }
+            },
+            { id: 'action-backlog', action_type: 'send_message', agent_id: 'agent-1', payload: MESSAGE_PAYLOAD, browser_profile: { provider: 'gologin' } }
+          ]
+        };
+      }
+    });
+
+    const worker = spawnWorker(pollStub.url, { MAX_CONCURRENCY: '2' });
+
+    try {
+      await waitUntil(() => pollStub.callsTo('worker-poll').filter(body => !body.renewLease).length >= 3, 'further polls');
+    } finally {
+      await stopWorker(worker);
+      await pollStub.close();
+      hangingCdp.close();
+    }
+
+    // The free slot keeps polling, without agent-1 whose next action would only wait in the queue
+    const [, ...laterPolls] = pollStub.callsTo('worker-poll').filter(body => !body.renewLease);
+    assert.ok(laterPolls.length > 0);
+    for (const poll of laterPolls) {
+      assert.equal(poll.limit, 1);
+      assert.deepEqual(poll.excludeAgentIds, ['agent-1']);
+    }
+  });
+});
+
+after(() => {
+  for (const dir of stateDirs) rmSync(dir, { recursive: true, force: true });
+  return stub.close();
+});
+
+describe('worker.js shutdown', () => {
+  it('hands an unfinished login back with the agent reset to idle', async () => {
+    const hangingCdp = await startHangingCdp();
+
+    let handedOut = false;
+    const shutdownStub = await startEdgeStub({
+      'worker-poll': body => {
+        if (body.renewLease) return { leaseRenewed: true };
+        if (handedOut) return { actions: [] };
+        handedOut = true;
+        return {
+          actions: [{
+            id: 'action-login', action_type: 'linkedin_login', agent_id: 'agent-1',
+            payload: { email: 'jane@example.com', password: 'hunter22' },
+            browser_profile: { provider: 'cdp', cdp_url: hangingCdp.url }
+          }]
+        };
+      }
+    });
+
+    const worker = spawnWorker(shutdownStub.url, { SHUTDOWN_GRACE_PERIOD: '500' });
+    const exited = once(worker, 'exit');
+
+    try {
+      await waitUntil(() => shutdownStub.callsTo('worker-heartbeat').some(body => body.status === 'busy'), 'the login to start');
+      worker.kill('SIGTERM');
+      await waitUntil(() => shutdownStub.callsTo('worker-heartbeat').some(body => body.status === 'draining'), 'the worker to drain');
+      // The browser connection drops once the grace period is over, like a closed session
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      hangingCdp.release();
+      await exited;
+    } finally {
+      if (worker.exitCode === null) worker.kill('SIGKILL');
+      await shutdownStub.close();
+      hangingCdp.close();
+    }
+
+    assert.deepEqual(shutdownStub.callsTo('worker-update-agent').map(body => body.loginState), ['idle']);
+    const reports = shutdownStub.callsTo('worker-report');
+    assert.deepEqual(reports.map(report => [report.actionId, report.status]), [['action-login', 'released']]);
+  });
+});
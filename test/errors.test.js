@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ErrorCategory,
+  NeedsHumanError,
+  ValidationError,
+  SessionExpiredError,
+  LeaseLostError,
+  classifyError,
+  isTransientError
+} from '../lib/errors.js';
+
+describe('classifyError', () => {
+  it('keeps the category of worker errors', () => {
+    assert.deepEqual(classifyError(new SessionExpiredError()), { category: ErrorCategory.NEEDS_HUMAN, code: 'session_expired' });
+    assert.deepEqual(classifyError(new ValidationError([{ field: 'x', message: 'x is required' }])), {
+      category: ErrorCategory.NON_RETRYABLE,
+      code: 'validation_error'
+    });
+    assert.equal(classifyError(new LeaseLostError('action-1')).code, 'lease_lost');
+    assert.equal(classifyError(new NeedsHumanError('CAPTCHA')).category, ErrorCategory.NEEDS_HUMAN);
+  });
+
+  it('retries transient failures', () => {
+    for (const error of [
+      new Error('Edge function worker-poll failed: 503 - unavailable'),
+      new Error('page.goto: net::ERR_CONNECTION_RESET ECONNRESET'),
+      Object.assign(new Error('Rate limited'), { status: 429 }),
+      Object.assign(new Error('Waiting for selector'), { name: 'TimeoutError' })
+    ]) {
+      assert.deepEqual(classifyError(error, { retryUnknown: false }), { category: ErrorCategory.RETRYABLE, code: 'transient' }, error.message);
+    }
+  });
+
+  it('does not mistake numbers in a message for status codes', () => {
+    assert.equal(isTransientError(new Error('Profile ACoAAB5003xyz not found')), false);
+    assert.equal(isTransientError(new Error('Sent 1500 messages')), false);
+    assert.equal(isTransientError(new Error('GoLogin API 502: Bad Gateway')), true);
+  });
+
+  it('only retries unknown failures of actions that send nothing', () => {
+    const error = new Error('Cannot read properties of null');
+
+    assert.deepEqual(classifyError(error), { category: ErrorCategory.RETRYABLE, code: 'unknown' });
+    assert.deepEqual(classifyError(error, { retryUnknown: false }), { category: ErrorCategory.NON_RETRYABLE, code: 'unknown' });
+  });
+
+  it('never retries template errors', () => {
+    const error = Object.assign(new Error('Message template is missing required variables: company'), { name: 'TemplateError' });
+
+    assert.deepEqual(classifyError(error), { category: ErrorCategory.NON_RETRYABLE, code: 'template_error' });
+  });
+});
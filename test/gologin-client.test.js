@@ -0,0 +1,140 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+process.env.LOG_LEVEL ||= 'error';
+const {
+  createGoLoginClient,
+  parseRetryAfter,
+  AuthError,
+  ProfileNotFound,
+  ProfileBusy,
+  RateLimited
+} = await import('../lib/gologin-client.js');
+const { createGoLoginProvider } = await import('../lib/browser-providers/gologin.js');
+const { RetryableError, NonRetryableError, ErrorCategory } = await import('../lib/errors.js');
+
+// Answers each request with the next queued { status, headers, body }; 'hang' never answers
+let responses;
+let requests;
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((req, res) => {
+    requests.push(req.url);
+    const response = responses.shift() || { status: 200, body: {} };
+    if (response === 'hang') return;
+    res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+    res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delta-seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('0'), 0);
+  });
+
+  it('reads HTTP dates relative to now', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    assert.equal(parseRetryAfter('Sun, 01 Mar 2026 12:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Sun, 01 Mar 2026 11:00:00 GMT', now), 0);
+  });
+
+  it('ignores missing and unreadable values', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('createGoLoginClient', () => {
+  const client = () => createGoLoginClient({ apiToken: 'token', baseUrl, timeout: 200, maxRateLimitWait: 1000 });
+
+  it('returns the WebSocket URL of a started profile', async () => {
+    responses.push({ status: 200, body: { ws: { puppeteer: 'wss://cloud.gologin.com/connect?token=abc' } } });
+
+    const { wsUrl } = await client().startProfile('profile-1');
+
+    assert.equal(wsUrl, 'wss://cloud.gologin.com/connect?token=abc');
+    assert.deepEqual(requests, ['/browser/profile-1/start?autoClose=false']);
+  });
+
+  it('waits out a short Retry-After and tries again', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '0' }, body: {} });
+    responses.push({ status: 200, body: { wsUrl: 'wss://cloud.gologin.com/connect' } });
+
+    await client().startProfile('profile-1');
+
+    assert.equal(requests.length, 2);
+  });
+
+  it('surfaces a long Retry-After as RateLimited', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '90' }, body: {} });
+
+    await assert.rejects(client().startProfile('profile-1'), error => {
+      assert.ok(error instanceof RateLimited);
+      assert.equal(error.retryAfterMs, 90000);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  it('times out requests that never answer', async () => {
+    responses.push('hang');
+
+    await assert.rejects(client().startProfile('profile-1'), error => {
+      assert.ok(error instanceof RetryableError);
+      assert.equal(error.code, 'gologin_timeout');
+      return true;
+    });
+  });
+
+  it('types API errors by status', async () => {
+    const cases = [
+      [401, AuthError],
+      [404, ProfileNotFound],
+      [409, ProfileBusy],
+      [500, RetryableError],
+      [400, NonRetryableError]
+    ];
+    for (const [status, ErrorClass] of cases) {
+      responses.push({ status, body: 'nope' });
+      await assert.rejects(client().startProfile('profile-1'), ErrorClass, `status ${status}`);
+    }
+  });
+
+  it('retries a start without a WebSocket URL later', async () => {
+    responses.push({ status: 200, body: { status: 'starting' } });
+
+    await assert.rejects(client().startProfile('profile-1'), { code: 'gologin_no_ws_url', category: ErrorCategory.RETRYABLE });
+  });
+});
+
+describe('createGoLoginProvider', () => {
+  it('leaves a profile that is running elsewhere alone', async () => {
+    responses.push({ status: 409, body: 'already running' });
+    const provider = createGoLoginProvider({ apiToken: 'token', baseUrl, requestTimeout: 1000 });
+
+    await assert.rejects(provider.open({ key: 'profile-1' }), error => {
+      assert.ok(error instanceof ProfileBusy);
+      assert.ok(error.retryAfterMs > 0);
+      return true;
+    });
+    // Neither stopped nor taken over
+    assert.deepEqual(requests, ['/browser/profile-1/start?autoClose=false']);
+  });
+});
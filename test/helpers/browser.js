@@ -0,0 +1,63 @@
+import { readFile } from 'node:fs/promises';
+import { chromium } from 'playwright-core';
+
+// ============================================
+// Local Chromium serving saved LinkedIn pages
+// ============================================
+//
+// Uses the same LOCAL_BROWSER_EXECUTABLE / LOCAL_BROWSER_CHANNEL settings as the local
+// browser provider. Every request is answered from test/fixtures - nothing leaves the machine.
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+
+// null only when SKIP_BROWSER_TESTS=1; browser tests skip in that case. Without a Chromium
+// the browser suites fail rather than pass without checking anything.
+export async function launchBrowser() {
+  if (process.env.SKIP_BROWSER_TESTS === '1') {
+    console.warn('Skipping browser tests (SKIP_BROWSER_TESTS=1)');
+    return null;
+  }
+
+  try {
+    return await chromium.launch({
+      headless: true,
+      executablePath: process.env.LOCAL_BROWSER_EXECUTABLE || undefined,
+      channel: process.env.LOCAL_BROWSER_CHANNEL || undefined
+    });
+  } catch (error) {
+    throw new Error(`No local Chromium for the browser tests: ${error.message.split('\n')[0]}\n` +
+      'Set LOCAL_BROWSER_EXECUTABLE (or LOCAL_BROWSER_CHANNEL), or SKIP_BROWSER_TESTS=1 to skip them');
+  }
+}
+
+export function readFixture(name) {
+  return readFile(new URL(name, FIXTURES_DIR), 'utf8');
+}
+
+// routes: { '/login': 'login.html', '/feed': { fixture: 'feed.html', headers }, ... }
+// keyed by LinkedIn path (trailing slash ignored)
+export async function newFixtureContext(browser, routes) {
+  const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+
+  await context.route('**/*', async route => {
+    const url = new URL(route.request().url());
+    const path = url.pathname.replace(/(.)\/$/, '$1');
+    const target = url.hostname === 'www.linkedin.com' && routes[path];
+
+    if (!target) {
+      return route.fulfill({ status: 404, contentType: 'text/html', body: '<html><body></body></html>' });
+    }
+
+    const { fixture, headers = {} } = typeof target === 'string' ? { fixture: target } : target;
+    return route.fulfill({ status: 200, contentType: 'text/html', headers, body: await readFixture(fixture) });
+  });
+
+  return context;
+}
+
+export async function openFixture(browser, path, fixture, routes = {}) {
+  const context = await newFixtureContext(browser, { [path]: fixture, ...routes });
+  const page = await context.newPage();
+  await page.goto(`https://www.linkedin.com${path}`, { waitUntil: 'domcontentloaded' });
+  return { context, page };
+}
@@ -0,0 +1,37 @@
+import { createServer } from 'node:http';
+
+// ============================================
+// Stub Supabase edge-function server
+// ============================================
+//
+// Records every POST /functions/v1/<name> call and answers with handlers[name](body)
+// (default {}). A handler may return { httpStatus, body } to answer with another status.
+
+export async function startEdgeStub(handlers = {}) {
+  const calls = [];
+
+  const server = createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    const name = req.url.replace(/^\/functions\/v1\//, '');
+    const body = raw ? JSON.parse(raw) : null;
+    calls.push({ name, body, secret: req.headers['x-worker-secret'] });
+
+    const response = await handlers[name]?.(body) ?? {};
+    res.writeHead(response.httpStatus || 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.httpStatus ? response.body : response));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    handlers,
+    // Bodies sent to one edge function, in order
+    callsTo: name => calls.filter(call => call.name === name).map(call => call.body),
+    reset: () => { calls.length = 0; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
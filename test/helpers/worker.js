@@ -0,0 +1,28 @@
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startEdgeStub } from './edge-stub.js';
+
+// Imports worker.js against a stub edge-function server. worker.js reads its configuration
+// at import time, so the environment is set first; node --test runs each file in its own process.
+// env overrides the test defaults below.
+export async function loadWorker(handlers = {}, env = {}) {
+  const stub = await startEdgeStub(handlers);
+
+  Object.assign(process.env, {
+    SUPABASE_URL: stub.url,
+    WORKER_SECRET: 'test-secret',
+    WORKER_ID: 'test-worker',
+    BROWSER_PROVIDER: 'local',
+    ARTIFACT_STORE: 'none',
+    CAPTCHA_INLINE_SCREENSHOTS: 'false',
+    QUOTA_STATE_FILE: join(tmpdir(), `linkedin-worker-test-quota-${process.pid}.json`),
+    ACTION_JOURNAL_FILE: join(tmpdir(), `linkedin-worker-test-journal-${process.pid}.json`),
+    HUMAN_DELAY_SCALE: '0.05',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    ...env
+  });
+  delete process.env.CREDENTIAL_ENCRYPTION_KEY;
+
+  const worker = await import('../../worker.js');
+  return { worker, stub };
+}
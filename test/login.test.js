@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers/worker.js';
+import { launchBrowser, newFixtureContext } from './helpers/browser.js';
+
+// Answers checkAgent2FA polls once a code has been "entered" by the user
+let pendingCode = null;
+
+const { worker, stub } = await loadWorker({
+  'worker-poll': body => (body.checkAgent2FA ? { twoFACode: pendingCode } : { actions: [] })
+});
+const browser = await launchBrowser();
+
+const SIGNED_IN = {
+  fixture: 'feed.html',
+  headers: { 'set-cookie': 'li_at=AQEDAtestsession; Domain=.linkedin.com; Path=/; Secure; HttpOnly; SameSite=None' }
+};
+
+const loginAction = payload => ({
+  id: 'login-1',
+  action_type: 'linkedin_login',
+  agent_id: 'agent-1',
+  payload
+});
+
+async function login(routes, payload) {
+  const context = await newFixtureContext(browser, routes);
+  const page = await context.newPage();
+  try {
+    return await worker.handleLinkedInLogin(page, context, loginAction(payload), 'agent-1');
+  } finally {
+    await context.close();
+  }
+}
+
+const loginStates = () => stub.callsTo('worker-update-agent').map(body => body.loginState).filter(Boolean);
+
+describe('handleLinkedInLogin', { skip: !browser }, () => {
+  beforeEach(() => {
+    stub.reset();
+    pendingCode = null;
+  });
+
+  it('logs in with a stored li_at cookie and reports the session', async () => {
+    const result = await login({ '/feed': 'feed.html' }, { useCookies: true, liAtCookie: 'AQEDAcookie' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(loginStates(), ['navigating', 'extracting_profile', 'completed']);
+
+    const completed = stub.callsTo('worker-update-agent').at(-1);
+    assert.equal(completed.agentId, 'agent-1');
+    assert.equal(completed.sessionCookies.li_at, 'AQEDAcookie');
+    assert.ok(completed.storageState.cookies.some(cookie => cookie.name === 'li_at'));
+    assert.ok(stub.calls.every(call => call.secret === 'test-secret'));
+  });
+
+  it('stops on a wrong password without leaking it', async () => {
+    await assert.rejects(
+      login(
+        { '/login': 'login.html', '/checkpoint/lg/login-submit': 'wrong-password.html' },
+        { email: 'jane@example.com', password: 'hunter2-wrong' }
+      ),
+      error => error.name === 'NeedsHumanError' && error.code === 'invalid_credentials'
+    );
+
+    assert.deepEqual(loginStates(), ['navigating', 'entering_credentials', 'invalid_credentials']);
+    assert.ok(!JSON.stringify(stub.calls).includes('hunter2-wrong'));
+  });
+
+  it('enters the email PIN from the backend and completes the login', async () => {
+    pendingCode = '482913';
+
+    const result = await login(
+      {
+        '/login': 'login.html',
+        '/checkpoint/lg/login-submit': 'email-pin.html',
+        '/checkpoint/challenge/verify': SIGNED_IN
+      },
+      { email: 'jane@example.com', password: 'correct-horse' }
+    );
+
+    assert.equal(result.success, true);
+    assert.deepEqual(loginStates(), ['navigating', 'entering_credentials', 'awaiting_2fa', 'extracting_profile', 'completed']);
+    assert.equal(stub.callsTo('worker-update-agent').find(body => body.loginState === 'awaiting_2fa').twoFAMethod, 'email');
+    assert.ok(stub.callsTo('worker-update-agent').some(body => body.clearTwoFACode));
+    assert.equal(stub.callsTo('worker-update-agent').at(-1).sessionCookies.li_at, 'AQEDAtestsession');
+  });
+
+  it('hands restricted accounts to a human', async () => {
+    await assert.rejects(
+      login(
+        { '/login': 'login.html', '/checkpoint/lg/login-submit': 'restricted.html' },
+        { email: 'jane@example.com', password: 'correct-horse' }
+      ),
+      error => error.name === 'NeedsHumanError' && error.code === 'account_locked'
+    );
+
+    assert.equal(loginStates().at(-1), 'account_locked');
+  });
+});
+
+after(async () => {
+  await browser?.close();
+  await stub.close();
+});
@@ -0,0 +1,198 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// The mock logs every claim and report; keep the test output readable
+process.env.LOG_LEVEL ||= 'error';
+const { createMockEdgeServer } = await import('../lib/mock-edge-server.js');
+
+const SECRET = 'mock-secret';
+
+let mock;
+let baseUrl;
+
+async function call(name, body, secret = SECRET) {
+  const response = await fetch(`${baseUrl}/functions/v1/${name}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-worker-secret': secret },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function control(path, body) {
+  const response = await fetch(`${baseUrl}/mock${path}`, body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+async function waitFor(predicate, timeout = 20000) {
+  const started = Date.now();
+  while (!await predicate()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the mock state');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+beforeEach(async () => {
+  mock = createMockEdgeServer({
+    secret: SECRET,
+    scenario: {
+      agents: [{ id: 'agent-1', autoTwoFACode: '123456', twoFADelayMs: 50 }],
+      actions: [
+        { id: 'action-1', action_type: 'view_profile', agent_id: 'agent-1', payload: { linkedin_url: 'https://www.linkedin.com/in/jane-doe/' } },
+        { id: 'action-2', action_type: 'view_profile', agent_id: 'agent-2', payload: { linkedin_url: 'https://www.linkedin.com/in/john-roe/' } }
+      ]
+    }
+  });
+  const { port } = await mock.listen(0);
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+afterEach(() => mock.close());
+
+describe('worker-poll', () => {
+  it('leases queued actions to one worker at a time', async () => {
+    const first = await call('worker-poll', { workerId: 'w1', limit: 1, leaseSeconds: 60 });
+    const second = await call('worker-poll', { workerId: 'w2', limit: 5, leaseSeconds: 60 });
+    const third = await call('worker-poll', { workerId: 'w3', limit: 5, leaseSeconds: 60 });
+
+    assert.deepEqual(first.body.actions.map(action => action.id), ['action-1']);
+    assert.equal(first.body.actions[0].agent.id, 'agent-1');
+    assert.equal(first.body.actions[0].status, undefined);
+    assert.deepEqual(second.body.actions.map(action => action.id), ['action-2']);
+    assert.deepEqual(third.body.actions, []);
+  });
+
+  it('leaves actions of excluded agents in the queue', async () => {
+    const { body } = await call('worker-poll', { workerId: 'w1', limit: 5, excludeAgentIds: ['agent-1'] });
+
+    assert.deepEqual(body.actions.map(action => action.id), ['action-2']);
+  });
+
+  it('renews leases only for their owner', async () => {
+    await call('worker-poll', { workerId: 'w1', limit: 1 });
+
+    assert.deepEqual((await call('worker-poll', { workerId: 'w1', renewLease: 'action-1' })).body, { leaseRenewed: true });
+    assert.deepEqual((await call('worker-poll', { workerId: 'w2', renewLease: 'action-1' })).body, { leaseRenewed: false, ownerWorkerId: 'w1' });
+  });
+
+  it('hands out the 2FA code once the agent waits for it', async () => {
+    assert.deepEqual((await call('worker-poll', { workerId: 'w1', checkAgent2FA: 'agent-1' })).body, { twoFACode: null });
+
+    for (const loginState of ['navigating', 'entering_credentials', 'awaiting_2fa']) {
+      await call('worker-update-agent', { workerId: 'w1', agentId: 'agent-1', loginState });
+    }
+    await waitFor(async () => (await call('worker-poll', { workerId: 'w1', checkAgent2FA: 'agent-1' })).body.twoFACode === '123456');
+
+    await call('worker-update-agent', { workerId: 'w1', agentId: 'agent-1', clearTwoFACode: true });
+    assert.deepEqual((await call('worker-poll', { workerId: 'w1', checkAgent2FA: 'agent-1' })).body, { twoFACode: null });
+  });
+
+  it('rejects requests without the worker secret', async () => {
+    const { status } = await call('worker-poll', { workerId: 'w1' }, 'wrong');
+    assert.equal(status, 401);
+  });
+});
+
+describe('worker-report', () => {
+  it('requeues retryable failures and keeps final ones', async () => {
+    await call('worker-poll', { workerId: 'w1', limit: 2 });
+    await call('worker-report', { workerId: 'w1', actionId: 'action-1', status: 'failed', retryable: true, retryAfter: new Date(Date.now() - 1000).toISOString() });
+    await call('worker-report', { workerId: 'w1', actionId: 'action-2', status: 'failed', retryable: false });
+
+    const { actions } = await control('/state');
+    assert.deepEqual(actions.map(action => [action.id, action.status, action.attempts]), [
+      ['action-1', 'pending', 1],
+      ['action-2', 'failed', 1]
+    ]);
+
+    const retry = await call('worker-poll', { workerId: 'w2', limit: 5 });
+    assert.deepEqual(retry.body.actions.map(action => [action.id, action.attempts]), [['action-1', 1]]);
+  });
+
+  it('refuses reports from a worker that does not hold the lease', async () => {
+    await call('worker-poll', { workerId: 'w1', limit: 1 });
+    const { status } = await call('worker-report', { workerId: 'w2', actionId: 'action-1', status: 'completed' });
+    assert.equal(status, 409);
+  });
+});
+
+describe('worker-update-agent', () => {
+  it('records the login history and flags unexpected transitions', async () => {
+    await call('worker-update-agent', { workerId: 'w1', agentId: 'agent-1', loginState: 'navigating' });
+    await call('worker-update-agent', { workerId: 'w1', agentId: 'agent-1', loginState: 'completed', status: 'connected' });
+
+    const { agents, violations } = await control('/state');
+    const agent = agents.find(({ id }) => id === 'agent-1');
+    assert.equal(agent.loginState, 'completed');
+    assert.equal(agent.status, 'connected');
+    assert.deepEqual(agent.history.map(({ to }) => to), ['navigating', 'completed']);
+    assert.deepEqual(violations.map(({ from, to }) => [from, to]), [['navigating', 'completed']]);
+  });
+
+  it('lets a worker hand an unfinished login back', async () => {
+    for (const loginState of ['navigating', 'entering_credentials', 'awaiting_2fa', 'idle', 'navigating']) {
+      await call('worker-update-agent', { workerId: 'w1', agentId: 'agent-1', loginState });
+    }
+
+    const { agents, violations } = await control('/state');
+    assert.equal(agents.find(({ id }) => id === 'agent-1').loginState, 'navigating');
+    assert.deepEqual(violations, []);
+  });
+});
+
+describe('worker.js against the mock', () => {
+  it('claims, fails and reports actions end to end', async () => {
+    // Park the scenario's browser actions with another worker; these two fail before a browser starts
+    await call('worker-poll', { workerId: 'other-worker', limit: 2 });
+    await control('/actions', [
+      { id: 'action-3', action_type: 'not_a_real_action', agent_id: 'agent-3' },
+      { id: 'action-4', action_type: 'send_message', agent_id: 'agent-4', payload: {} }
+    ]);
+
+    // Journal and quota state of this run only, never the repo's .worker-state
+    const stateDir = mkdtempSync(join(tmpdir(), 'linkedin-worker-mock-'));
+    const worker = spawn(process.execPath, ['worker.js'], {
+      cwd: new URL('..', import.meta.url),
+      env: {
+        ...process.env,
+        SUPABASE_URL: baseUrl,
+        WORKER_SECRET: SECRET,
+        WORKER_ID: 'mock-e2e',
+        BROWSER_PROVIDER: 'local',
+        ARTIFACT_STORE: 'none',
+        CAPTCHA_INLINE_SCREENSHOTS: 'false',
+        QUOTA_STATE_FILE: join(stateDir, 'quota.json'),
+        ACTION_JOURNAL_FILE: join(stateDir, 'journal.json'),
+        POLL_INTERVAL: '200',
+        LOG_LEVEL: 'error'
+      },
+      stdio: 'ignore'
+    });
+
+    try {
+      await waitFor(async () => {
+        const { actions } = await control('/state');
+        return ['action-3', 'action-4'].every(id => actions.find(action => action.id === id).status === 'failed');
+      });
+    } finally {
+      worker.kill('SIGTERM');
+      await once(worker, 'exit');
+      rmSync(stateDir, { recursive: true, force: true });
+    }
+
+    const { actions, workers } = await control('/state');
+    const errorCodes = Object.fromEntries(actions.map(action => [action.id, action.result?.errorCode]));
+    assert.equal(errorCodes['action-3'], 'unknown_action_type');
+    assert.equal(errorCodes['action-4'], 'validation_error');
+    assert.equal(workers.find(({ workerId }) => workerId === 'mock-e2e').status, 'offline');
+  });
+});
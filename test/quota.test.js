@@ -0,0 +1,108 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = mkdtempSync(join(tmpdir(), 'linkedin-worker-quota-'));
+process.env.QUOTA_STATE_FILE = join(dir, 'quota.json');
+process.env.LOG_LEVEL ||= 'error';
+
+const { checkQuota, recordAction, getAgentUsage, validateQuotaConfig } = await import('../lib/quota.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const connection = (agentId, agent = {}) => ({
+  id: `action-${agentId}`,
+  action_type: 'send_connection',
+  agent_id: agentId,
+  agent
+});
+
+describe('rolling windows', () => {
+  it('defers until the oldest action in the window ages out', () => {
+    const now = Date.parse('2026-05-06T12:00:00Z');
+    const action = connection('agent-rolling', { quotas: { send_connection: { daily: 2, weekly: 10 } } });
+
+    recordAction(action, now - 23 * HOUR_MS);
+    recordAction(action, now - HOUR_MS);
+
+    assert.deepEqual(checkQuota(action, now), {
+      allowed: false,
+      reason: 'daily_limit_reached',
+      limit: 2,
+      used: 2,
+      deferUntil: new Date(now + HOUR_MS).toISOString()
+    });
+    assert.deepEqual(checkQuota(action, now + HOUR_MS), { allowed: true });
+    assert.deepEqual(getAgentUsage('agent-rolling', now), { send_connection: { daily: 2, weekly: 2 } });
+  });
+
+  it('checks the weekly window before the daily one', () => {
+    const now = Date.parse('2026-05-06T12:00:00Z');
+    const action = connection('agent-weekly', { quotas: { send_connection: { daily: 5, weekly: 2 } } });
+
+    recordAction(action, now - 6 * DAY_MS);
+    recordAction(action, now - 2 * DAY_MS);
+
+    const quota = checkQuota(action, now);
+    assert.equal(quota.reason, 'weekly_limit_reached');
+    assert.equal(quota.deferUntil, new Date(now + DAY_MS).toISOString());
+  });
+
+  it('leaves action types without limits alone', () => {
+    assert.deepEqual(checkQuota({ action_type: 'sync_inbox', agent_id: 'agent-1' }), { allowed: true });
+  });
+});
+
+describe('working hours', () => {
+  const workingHours = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+
+  it('allows actions inside the agent\'s local window', () => {
+    const action = connection('agent-hours', { working_hours: workingHours, timezone: 'Europe/Berlin' });
+
+    // 10:00 in Berlin (CEST) on a Wednesday
+    assert.deepEqual(checkQuota(action, Date.parse('2026-05-06T08:00:00Z')), { allowed: true });
+  });
+
+  it('defers to the next working day across a DST change', () => {
+    const action = connection('agent-dst', { working_hours: workingHours, timezone: 'America/New_York' });
+
+    // Saturday evening EST; clocks go forward early on Sunday 8 March 2026
+    const quota = checkQuota(action, Date.parse('2026-03-08T01:00:00Z'));
+
+    assert.equal(quota.reason, 'outside_working_hours');
+    // Monday 09:00 EDT, not EST
+    assert.equal(quota.deferUntil, '2026-03-09T13:00:00.000Z');
+  });
+
+  it('handles windows that cross midnight', () => {
+    const action = connection('agent-night', { working_hours: { start: '22:00', end: '02:00' }, timezone: 'UTC' });
+
+    assert.deepEqual(checkQuota(action, Date.parse('2026-05-06T23:30:00Z')), { allowed: true });
+    assert.deepEqual(checkQuota(action, Date.parse('2026-05-07T01:59:00Z')), { allowed: true });
+    assert.equal(checkQuota(action, Date.parse('2026-05-07T02:00:00Z')).deferUntil, '2026-05-07T22:00:00.000Z');
+  });
+
+  it('never schedules a window without days', () => {
+    const action = connection('agent-nodays', { working_hours: { ...workingHours, days: [] }, timezone: 'UTC' });
+
+    assert.equal(checkQuota(action, Date.parse('2026-05-06T10:00:00Z')).deferUntil, null);
+  });
+});
+
+describe('validateQuotaConfig', () => {
+  it('accepts whole-number limits', () => {
+    assert.doesNotThrow(() => validateQuotaConfig({ QUOTA_SEND_CONNECTION_DAILY: '15', QUOTA_SEND_MESSAGE_WEEKLY: '0', OTHER: 'x' }));
+  });
+
+  it('rejects limits that would parse to NaN or be truncated', () => {
+    assert.throws(
+      () => validateQuotaConfig({ QUOTA_SEND_CONNECTION_DAILY: 'twenty', QUOTA_VIEW_PROFILE_WEEKLY: '1.5' }),
+      /QUOTA_SEND_CONNECTION_DAILY="twenty", QUOTA_VIEW_PROFILE_WEEKLY="1.5"/
+    );
+  });
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
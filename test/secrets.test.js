@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, randomBytes } from 'node:crypto';
+
+// lib/secrets.js reads its keys at import time
+const CURRENT_KEY = randomBytes(32);
+const PREVIOUS_KEY = randomBytes(32);
+Object.assign(process.env, {
+  CREDENTIAL_ENCRYPTION_KEY: CURRENT_KEY.toString('base64'),
+  CREDENTIAL_KEY_ID: '2026-10',
+  CREDENTIAL_PREVIOUS_KEYS: `2026-01:${PREVIOUS_KEY.toString('base64')}`,
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+});
+const { encryptSecret, decryptSecret, decryptEnvelopes, sealSecret, isEnvelope } = await import('../lib/secrets.js');
+const { redact } = await import('../lib/logger.js');
+
+// Envelope as another service would build it under an older key
+function envelopeUnder(kid, kek, plaintext) {
+  const seal = (key, data) => {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const sealed = Buffer.concat([cipher.update(data), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), data: sealed };
+  };
+  const dataKey = randomBytes(32);
+  const wrapped = seal(kek, dataKey);
+  const sealed = seal(dataKey, Buffer.from(plaintext, 'utf8'));
+  return {
+    $envelope: 'v1',
+    kid,
+    key: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+    iv: sealed.iv.toString('base64'),
+    tag: sealed.tag.toString('base64'),
+    data: sealed.data.toString('base64')
+  };
+}
+
+describe('credential envelopes', () => {
+  it('round-trips a secret under the current key', () => {
+    const envelope = encryptSecret('hunter22');
+
+    assert.ok(isEnvelope(envelope));
+    assert.equal(envelope.kid, '2026-10');
+    assert.ok(!JSON.stringify(envelope).includes('hunter22'));
+    assert.equal(decryptSecret(envelope), 'hunter22');
+  });
+
+  it('still opens envelopes from a previous key during rotation', () => {
+    assert.equal(decryptSecret(envelopeUnder('2026-01', PREVIOUS_KEY, 'old-password')), 'old-password');
+  });
+
+  it('registers decrypted secrets for redaction', () => {
+    decryptSecret(encryptSecret('li_at-cookie-value'));
+
+    assert.ok(!redact('cookie li_at-cookie-value expired').includes('li_at-cookie-value'));
+  });
+
+  it('rejects unknown key ids and tampered envelopes without echoing them', () => {
+    assert.throws(() => decryptSecret(envelopeUnder('2025-01', randomBytes(32), 'x')), { code: 'credential_key_missing' });
+
+    const tampered = { ...encryptSecret('hunter22'), data: Buffer.from('garbage').toString('base64') };
+    assert.throws(() => decryptSecret(tampered), error => {
+      assert.equal(error.code, 'credential_decryption_failed');
+      assert.ok(!error.message.includes(tampered.key));
+      return true;
+    });
+  });
+
+  it('passes plaintext through and decrypts nested envelopes', () => {
+    assert.equal(decryptSecret('plain'), 'plain');
+
+    const payload = { email: 'jane@example.com', password: encryptSecret('hunter22'), cookies: [{ value: encryptSecret('abc') }] };
+    assert.deepEqual(decryptEnvelopes(payload), { email: 'jane@example.com', password: 'hunter22', cookies: [{ value: 'abc' }] });
+  });
+
+  it('seals outgoing secrets when a key is configured', () => {
+    assert.equal(decryptSecret(sealSecret('storage-state')), 'storage-state');
+    assert.equal(sealSecret(null), null);
+  });
+});
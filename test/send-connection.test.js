@@ -0,0 +1,118 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadWorker } from './helpers/worker.js';
+import { launchBrowser, newFixtureContext } from './helpers/browser.js';
+
+const artifactDir = mkdtempSync(join(tmpdir(), 'linkedin-worker-artifacts-'));
+const { worker, stub } = await loadWorker({}, { ARTIFACT_STORE: 'local', ARTIFACT_DIR: artifactDir });
+const browser = await launchBrowser();
+
+const PROFILE_URL = 'https://www.linkedin.com/in/jane-doe/';
+
+async function sendConnection(fixture, payload = {}) {
+  const context = await newFixtureContext(browser, { '/in/jane-doe': fixture });
+  const page = await context.newPage();
+  try {
+    const result = await worker.handleSendConnection(page, {
+      id: 'action-1',
+      action_type: 'send_connection',
+      agent_id: 'agent-1',
+      payload: { linkedin_url: PROFILE_URL, ...payload },
+      lead: { first_name: 'Jane', company: 'Acme' }
+    });
+    const invitation = await page.evaluate(() => window.__invitation ?? null);
+    const dialogOpen = await page.locator('div[role="dialog"]').count() > 0;
+    return { result, invitation, dialogOpen };
+  } finally {
+    await context.close();
+  }
+}
+
+describe('handleSendConnection', { skip: !browser }, () => {
+  it('sends an invitation with the rendered note', async () => {
+    const { result, invitation } = await sendConnection('profile-connect.html', {
+      message: 'Hi {{first_name}}, great to see what {{company}} is building.'
+    });
+
+    assert.equal(result.outcome, 'sent');
+    assert.equal(result.success, true);
+    assert.equal(result.connectionDegree, '2nd');
+    assert.equal(result.noteIncluded, true);
+    assert.equal(result.note, 'Hi Jane, great to see what Acme is building.');
+    assert.deepEqual(invitation, { note: 'Hi Jane, great to see what Acme is building.' });
+  });
+
+  it('sends without a note when none is given', async () => {
+    const { result, invitation } = await sendConnection('profile-connect.html');
+
+    assert.equal(result.outcome, 'sent');
+    assert.equal(result.noteIncluded, false);
+    assert.deepEqual(invitation, { note: null });
+  });
+
+  it('reports a pending invite instead of inviting twice', async () => {
+    const context = await newFixtureContext(browser, { '/in/jane-doe': 'profile-connect.html' });
+    const page = await context.newPage();
+    const action = { id: 'action-2', action_type: 'send_connection', payload: { linkedin_url: PROFILE_URL }, lead: { first_name: 'Jane' } };
+    try {
+      const first = await worker.handleSendConnection(page, action);
+      const second = await worker.handleSendConnection(page, action);
+
+      assert.equal(first.outcome, 'sent');
+      assert.equal(second.outcome, 'pending');
+      assert.equal(second.alreadySent, true);
+    } finally {
+      await context.close();
+    }
+  });
+
+  it('composes the invitation but does not send it in a dry run', async () => {
+    const { result, invitation, dialogOpen } = await sendConnection('profile-connect.html', {
+      message: 'Hi {{first_name}}!',
+      dryRun: true
+    });
+
+    assert.equal(result.outcome, 'dry_run');
+    assert.equal(result.success, true);
+    assert.equal(result.wouldOutcome, 'sent');
+    assert.equal(result.note, 'Hi Jane!');
+    assert.equal(invitation, null);
+    assert.equal(dialogOpen, false);
+
+    const screenshots = readdirSync(join(artifactDir, 'agent-1', 'action-1')).filter(file => file.endsWith('-dry_run.png'));
+    assert.equal(screenshots.length, 1);
+  });
+
+  it('ignores Connect buttons outside the profile card', async () => {
+    const { result, invitation } = await sendConnection('profile-follow-only.html');
+
+    assert.equal(result.outcome, 'follow_only');
+    assert.equal(result.success, false);
+    assert.equal(result.connectionDegree, '3rd');
+    assert.equal(invitation, null);
+  });
+
+  it('reads the degree from the badge only, not from the headline', async () => {
+    const { result, invitation } = await sendConnection('profile-no-badge.html');
+
+    assert.equal(result.outcome, 'sent');
+    assert.equal(result.connectionDegree, null);
+    assert.deepEqual(invitation, { note: null });
+  });
+
+  it('reports 1st-degree connections as already connected', async () => {
+    const { result } = await sendConnection('profile-message.html');
+
+    assert.equal(result.outcome, 'already_connected');
+    assert.equal(result.connectionDegree, '1st');
+  });
+});
+
+after(async () => {
+  await browser?.close();
+  await stub.close();
+  rmSync(artifactDir, { recursive: true, force: true });
+});
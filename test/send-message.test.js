@@ -0,0 +1,101 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers/worker.js';
+import { launchBrowser, newFixtureContext } from './helpers/browser.js';
+
+const { worker, stub } = await loadWorker();
+const browser = await launchBrowser();
+
+async function sendMessage(fixture, payload) {
+  const context = await newFixtureContext(browser, { '/in/jane-doe': fixture });
+  const page = await context.newPage();
+  try {
+    const result = await worker.handleSendMessage(page, {
+      id: 'action-1',
+      action_type: 'send_message',
+      payload: { linkedin_url: 'https://www.linkedin.com/in/jane-doe/', ...payload },
+      lead: { first_name: 'Jane' }
+    });
+    const sent = await page.evaluate(() => window.__sentMessages ?? []);
+    const draft = await page.evaluate(() => document.querySelector('.msg-form__contenteditable')?.textContent ?? null);
+    return { result, sent, draft };
+  } finally {
+    await context.close();
+  }
+}
+
+describe('handleSendMessage', { skip: !browser }, () => {
+  it('types the rendered message into the overlay and sends it', async () => {
+    const { result, sent } = await sendMessage('profile-message.html', {
+      message: 'Hi {{first_name}}, thanks for connecting!'
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.sentText, 'Hi Jane, thanks for connecting!');
+    assert.deepEqual(sent, ['Hi Jane, thanks for connecting!']);
+  });
+
+  it('leaves the message unsent and the draft empty in a dry run', async () => {
+    const { result, sent, draft } = await sendMessage('profile-message.html', {
+      message: 'Hi {{first_name}}, thanks for connecting!',
+      dryRun: true
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.composedText, 'Hi Jane, thanks for connecting!');
+    assert.equal(result.sentText, undefined);
+    assert.deepEqual(sent, []);
+    assert.equal(draft, '');
+  });
+
+  it('does not send the same message again when it is already last in the thread', async () => {
+    const context = await newFixtureContext(browser, { '/in/jane-doe': 'profile-message.html' });
+    const page = await context.newPage();
+    const action = {
+      id: 'action-2',
+      action_type: 'send_message',
+      payload: { linkedin_url: 'https://www.linkedin.com/in/jane-doe/', message: '{Hi|Hello|Hey} {{first_name}}, {quick|short} question!' },
+      lead: { first_name: 'Jane' }
+    };
+    try {
+      const first = await worker.handleSendMessage(page, action);
+      // Requeued after a lost report: same action, same (seeded) text
+      const second = await worker.handleSendMessage(page, action);
+
+      assert.equal(first.alreadySent, undefined);
+      assert.equal(second.success, true);
+      assert.equal(second.alreadySent, true);
+      assert.equal(second.sentText, first.sentText);
+      assert.deepEqual(await page.evaluate(() => JSON.parse(sessionStorage.getItem('thread'))), [first.sentText]);
+    } finally {
+      await context.close();
+    }
+  });
+
+  it('reads and writes only the lead\'s conversation when other bubbles are docked', async () => {
+    const { result, sent } = await sendMessage('profile-message-docked.html', {
+      message: 'Quick question about your sales team'
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.alreadySent, undefined);
+    assert.deepEqual(sent, [{ to: 'jane-bubble', text: 'Quick question about your sales team' }]);
+  });
+
+  it('fails when the profile has no Message button', async () => {
+    const { result, sent } = await sendMessage('profile-follow-only.html', { message: 'Hello' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Message button not found');
+    assert.deepEqual(sent, []);
+  });
+
+  it('rejects actions without a message', async () => {
+    await assert.rejects(sendMessage('profile-message.html', {}), /No message provided/);
+  });
+});
+
+after(async () => {
+  await browser?.close();
+  await stub.close();
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+process.env.LOG_LEVEL ||= 'error';
+const { createSessionCache } = await import('../lib/session-cache.js');
+
+// Just enough of a Playwright browser/context/page for the cache
+function fakeSession({ healthy = true } = {}) {
+  const browser = Object.assign(new EventEmitter(), { isConnected: () => true });
+  const page = {
+    isClosed: () => false,
+    evaluate: async () => {
+      if (!healthy) throw new Error('Target closed');
+      return 'complete';
+    }
+  };
+  return { browser, context: new EventEmitter(), page };
+}
+
+function createCache(sessions) {
+  const opened = [];
+  const closed = [];
+  const cache = createSessionCache({
+    idleTimeout: 60000,
+    openSession: async profileId => {
+      const session = sessions.shift() || fakeSession();
+      opened.push(profileId);
+      return session;
+    },
+    closeSession: async session => {
+      closed.push(session.profileId);
+    }
+  });
+  return { cache, opened, closed };
+}
+
+const activeTimeouts = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+
+describe('session cache', () => {
+  it('reuses a released healthy session without leaving timers behind', async () => {
+    const { cache, opened } = createCache([]);
+
+    const first = await cache.acquire('gologin:p1');
+    await cache.release('gologin:p1');
+    const before = activeTimeouts();
+    const second = await cache.acquire('gologin:p1');
+
+    assert.equal(second, first);
+    assert.deepEqual(opened, ['gologin:p1']);
+    // The health check's timeout is cleared once the page answers
+    assert.equal(activeTimeouts(), before);
+    await cache.closeAll();
+  });
+
+  it('replaces an unhealthy warm session', async () => {
+    const { cache, opened, closed } = createCache([fakeSession({ healthy: false })]);
+
+    await cache.acquire('gologin:p1');
+    await cache.release('gologin:p1');
+    await cache.acquire('gologin:p1');
+
+    assert.deepEqual(opened, ['gologin:p1', 'gologin:p1']);
+    assert.deepEqual(closed, ['gologin:p1']);
+    await cache.closeAll();
+  });
+
+  it('refuses to hand out or evict a session that is in use', async () => {
+    const { cache, closed } = createCache([]);
+
+    await cache.acquire('gologin:p1');
+    await assert.rejects(cache.acquire('gologin:p1'), /already in use/);
+
+    assert.deepEqual(closed, []);
+    assert.equal(cache.list()[0].inUse, true);
+    await cache.closeAll();
+  });
+
+  it('evicts sessions released after a failure', async () => {
+    const { cache, closed } = createCache([]);
+
+    await cache.acquire('gologin:p1');
+    await cache.release('gologin:p1', { evict: true });
+
+    assert.deepEqual(closed, ['gologin:p1']);
+    assert.deepEqual(cache.list(), []);
+  });
+});
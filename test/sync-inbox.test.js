@@ -0,0 +1,71 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers/worker.js';
+import { launchBrowser, newFixtureContext } from './helpers/browser.js';
+
+const { worker, stub } = await loadWorker();
+const browser = await launchBrowser();
+
+async function syncInbox(fixture, payload = {}) {
+  const context = await newFixtureContext(browser, { '/messaging': fixture });
+  const page = await context.newPage();
+  try {
+    return await worker.handleSyncInbox(page, { id: 'action-1', action_type: 'sync_inbox', payload });
+  } finally {
+    await context.close();
+  }
+}
+
+// The fixture's labels are in the browser's (and this process's) local time
+const localTime = (day, hours, minutes) => new Date(2026, 2, day, hours, minutes).toISOString();
+
+describe('handleSyncInbox', { skip: !browser }, () => {
+  it('reads every conversation with participants, messages and fingerprints', async () => {
+    const result = await syncInbox('messaging.html');
+
+    assert.equal(result.success, true);
+    assert.equal(result.nextCursor, localTime(5, 10, 42));
+    assert.deepEqual(result.conversations.map(conversation => conversation.conversationId), ['2-jane', '2-sam']);
+
+    const [jane, sam] = result.conversations;
+    assert.deepEqual(jane.participants, [{ name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/' }]);
+    assert.equal(jane.unread, true);
+    assert.equal(jane.markedRead, true);
+    assert.equal(jane.lastMessageFromSelf, false);
+    assert.deepEqual(jane.messages.map(message => [message.fromSelf, message.sentAt, message.body]), [
+      [false, localTime(5, 10, 40), 'Hi Alex, thanks for reaching out'],
+      [true, localTime(5, 10, 41), 'Happy to chat - does Monday work?'],
+      [false, localTime(5, 10, 42), 'Monday is busy'],
+      [false, localTime(5, 10, 42), 'Tuesday works too']
+    ]);
+    assert.equal(new Set(jane.messages.map(message => message.fingerprint)).size, 4);
+    assert.equal(sam.unread, false);
+    assert.equal(sam.lastMessageFromSelf, true);
+  });
+
+  it('includes messages from the cursor\'s minute and skips older conversations', async () => {
+    const full = await syncInbox('messaging.html');
+    const result = await syncInbox('messaging.html', { cursor: localTime(5, 10, 42) });
+
+    assert.deepEqual(result.conversations.map(conversation => conversation.conversationId), ['2-jane']);
+    // Minute precision: both 10:42 messages come back, with the same fingerprints as before
+    assert.deepEqual(
+      result.conversations[0].messages.map(message => message.fingerprint),
+      full.conversations[0].messages.slice(2).map(message => message.fingerprint)
+    );
+    assert.equal(result.nextCursor, localTime(5, 10, 42));
+  });
+
+  it('returns no conversations for an empty inbox', async () => {
+    const result = await syncInbox('messaging-empty.html', { cursor: '2026-03-01T00:00:00.000Z' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.conversations, []);
+    assert.equal(result.nextCursor, '2026-03-01T00:00:00.000Z');
+  });
+});
+
+after(async () => {
+  await browser?.close();
+  await stub.close();
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  renderTemplate,
+  getTemplateVariables,
+  findMissingVariables,
+  variablesFromLead,
+  mergeVariables,
+  TemplateError,
+  CONNECTION_NOTE_LIMIT
+} from '../lib/template.js';
+
+describe('variables', () => {
+  it('substitutes variables and falls back when a value is missing', () => {
+    assert.equal(
+      renderTemplate('Hi {{first_name}}, how is {{ company | your team }}?', { first_name: 'Jane' }),
+      'Hi Jane, how is your team?'
+    );
+  });
+
+  it('rejects templates whose required variables have no value', () => {
+    assert.throws(
+      () => renderTemplate('Hi {{first_name}} at {{company}}', { first_name: ' ' }, { label: 'Connection note' }),
+      error => error instanceof TemplateError &&
+        error.message === 'Connection note template is missing required variables: first_name, company' &&
+        error.missingVariables.join() === 'first_name,company'
+    );
+  });
+
+  it('lists the variables a template uses', () => {
+    assert.deepEqual(getTemplateVariables('{{First_Name}} {{company|you}}'), [
+      { name: 'first_name', hasFallback: false },
+      { name: 'company', hasFallback: true }
+    ]);
+    assert.deepEqual(findMissingVariables('{{first_name}} {{first_name}} {{title|}}', {}), ['first_name']);
+  });
+
+  it('prefers earlier sources and ignores blank values', () => {
+    const lead = variablesFromLead({ full_name: 'Jane Q Doe', company: '' });
+
+    assert.deepEqual(lead.first_name, 'Jane');
+    assert.deepEqual(lead.last_name, 'Q Doe');
+    assert.deepEqual(mergeVariables(lead, { company: ' Acme ', first_name: 'Janet' }), {
+      first_name: 'Jane',
+      last_name: 'Q Doe',
+      full_name: 'Jane Q Doe',
+      company: 'Acme'
+    });
+  });
+
+  it('keeps spintax characters inside variable values', () => {
+    assert.equal(renderTemplate('{Hi|Hi} {{first_name}}', { first_name: '{Jo|Joe}' }), 'Hi {Jo|Joe}');
+  });
+});
+
+describe('spintax', () => {
+  it('picks one option per group, including nested groups', () => {
+    for (let i = 0; i < 20; i++) {
+      assert.match(renderTemplate('{Hi|Hello} there{!|{.|!!}}'), /^(Hi|Hello) there(!|\.|!!)$/);
+    }
+  });
+
+  it('picks the same options for the same seed', () => {
+    const template = '{Hi|Hello|Hey|Howdy} {{first_name}}, {quick|short|small} {question|idea|note}';
+    const rendered = renderTemplate(template, { first_name: 'Jane' }, { seed: 'campaign-7:lead-3' });
+
+    assert.equal(renderTemplate(template, { first_name: 'Jane' }, { seed: 'campaign-7:lead-3' }), rendered);
+    const others = new Set(Array.from({ length: 10 }, (_, i) => renderTemplate(template, { first_name: 'Jane' }, { seed: `lead-${i}` })));
+    assert.ok(others.size > 1);
+  });
+
+  it('leaves braces without options alone', () => {
+    assert.equal(renderTemplate('Price is {50% off}'), 'Price is {50% off}');
+    assert.equal(renderTemplate('Config: {"a": 1}'), 'Config: {"a": 1}');
+    assert.equal(renderTemplate('{Hi|Hi} {a {b}}'), 'Hi {a {b}}');
+  });
+});
+
+describe('rendering', () => {
+  it('cleans up whitespace left by empty values', () => {
+    assert.equal(renderTemplate('  Hi {{first_name|}} ,  thanks  !  ', {}), 'Hi, thanks!');
+  });
+
+  it('enforces the length limit on the rendered text', () => {
+    const note = 'x'.repeat(CONNECTION_NOTE_LIMIT - 5);
+
+    assert.equal(renderTemplate(`${note} {{first_name}}`, { first_name: 'Jane' }, { maxLength: CONNECTION_NOTE_LIMIT }).length, CONNECTION_NOTE_LIMIT);
+    assert.throws(
+      () => renderTemplate(`${note} {{first_name}}`, { first_name: 'Janet' }, { maxLength: CONNECTION_NOTE_LIMIT, label: 'Connection note' }),
+      error => error instanceof TemplateError && error.length === 301 && error.maxLength === 300
+    );
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as formats from '../lib/validators.js';
+import { validatePayload, getActionDefinition } from '../lib/registry.js';
+import { loadWorker } from './helpers/worker.js';
+
+// Registers the worker's actions in the shared registry
+const { stub } = await loadWorker();
+
+const cookie = (name, value, extra = {}) => ({ name, value, domain: '.linkedin.com', path: '/', expires: -1, ...extra });
+const LI_AT = `AQEDA${'x'.repeat(60)}`;
+
+describe('formats', () => {
+  it('normalizes LinkedIn profile URLs', () => {
+    assert.deepEqual(formats.linkedinProfileUrl('linkedin.com/in/jane-doe?trk=abc'), { value: 'https://www.linkedin.com/in/jane-doe/' });
+    assert.deepEqual(formats.linkedinProfileUrl('https://de.linkedin.com/in/Jane-Doe/details/'), { value: 'https://www.linkedin.com/in/Jane-Doe/' });
+    assert.match(formats.linkedinProfileUrl('https://example.com/in/jane').error, /linkedin\.com URL/);
+    assert.match(formats.linkedinProfileUrl('https://www.linkedin.com/company/acme/').error, /profile URL/);
+  });
+
+  it('accepts pasted li_at cookies and rejects junk', () => {
+    assert.deepEqual(formats.liAtCookie(` li_at="${LI_AT}"; Path=/`), { value: LI_AT });
+    assert.match(formats.liAtCookie('abc').error, /too short/);
+    assert.match(formats.liAtCookie(`${LI_AT} tail`).error, /invalid characters/);
+  });
+
+  it('takes an email address or a phone number as the login', () => {
+    assert.deepEqual(formats.loginIdentifier(' jane@example.com '), { value: 'jane@example.com' });
+    assert.deepEqual(formats.loginIdentifier('+49 (30) 1234-567'), { value: '+49 (30) 1234-567' });
+    assert.ok(formats.loginIdentifier('jane').error);
+  });
+
+  it('normalizes ISO timestamps', () => {
+    assert.deepEqual(formats.isoTimestamp('2026-03-05T10:42:00+01:00'), { value: '2026-03-05T09:42:00.000Z' });
+    assert.ok(formats.isoTimestamp('last tuesday').error);
+  });
+
+  it('keeps only LinkedIn cookies and requires li_at in a storage state', () => {
+    const state = {
+      cookies: [cookie('li_at', LI_AT), cookie('other', '1', { domain: '.example.com' }), cookie('JSESSIONID', 'old', { expires: 1 })],
+      origins: [{ origin: 'https://www.linkedin.com', localStorage: [] }, { origin: 'https://example.com', localStorage: [] }]
+    };
+
+    const { value } = formats.storageState(JSON.stringify(state));
+    assert.deepEqual(value.cookies.map(c => c.name), ['li_at']);
+    assert.deepEqual(value.origins.map(o => o.origin), ['https://www.linkedin.com']);
+    assert.equal(formats.storageState('{not json').error, 'is not valid JSON');
+    assert.equal(formats.storageState({ cookies: [cookie('li_a', LI_AT)] }).error, 'has no unexpired li_at cookie');
+  });
+});
+
+describe('validatePayload', () => {
+  const definition = {
+    schema: {
+      linkedin_url: { type: 'string', required: true, sources: ['payload.linkedin_url', 'lead.linkedin_url'], format: formats.linkedinProfileUrl },
+      note: { type: 'string', maxLength: 5 },
+      count: { type: 'number', min: 1, max: 3 },
+      mode: { type: 'string', required: action => !!action.payload?.count, validate: mode => (mode === 'fast' ? null : 'must be fast') }
+    }
+  };
+
+  it('reads fields from their sources and writes normalized values back', () => {
+    const action = { payload: {}, lead: { linkedin_url: 'linkedin.com/in/jane-doe' } };
+
+    assert.deepEqual(validatePayload(definition, action), []);
+    assert.equal(action.payload.linkedin_url, 'https://www.linkedin.com/in/jane-doe/');
+  });
+
+  it('reports every problem with its field', () => {
+    const errors = validatePayload(definition, { payload: { note: 'too long', count: 5 } });
+
+    assert.deepEqual(errors, [
+      { field: 'linkedin_url', message: 'linkedin_url is required' },
+      { field: 'note', message: 'note is 8 characters, limit is 5' },
+      { field: 'count', message: 'count must be at most 3' },
+      { field: 'mode', message: 'mode is required' }
+    ]);
+    assert.deepEqual(validatePayload(definition, { payload: { linkedin_url: 'linkedin.com/in/x', count: '2', mode: 'slow' } }), [
+      { field: 'count', message: 'count must be a number, got string' },
+      { field: 'mode', message: 'mode must be fast' }
+    ]);
+  });
+});
+
+describe('send_message payloads', () => {
+  const validate = message => validatePayload(getActionDefinition('send_message'), {
+    payload: { linkedin_url: 'https://www.linkedin.com/in/jane-doe/', message }
+  });
+
+  it('checks plain text against the message limit right away', () => {
+    assert.deepEqual(validate('x'.repeat(8000)), []);
+    assert.match(validate('x'.repeat(8001))[0].message, /8001 characters, LinkedIn allows 8000/);
+  });
+
+  it('leaves templates to the length check after rendering', () => {
+    // Long spintax that renders to a short message
+    const options = Array.from({ length: 1000 }, (_, i) => `Option ${i}`).join('|');
+    assert.ok(`{${options}}`.length > 8000);
+    assert.deepEqual(validate(`{${options}} {{first_name}}`), []);
+  });
+});
+
+after(() => stub.close());
@@ -1,4 +1,45 @@
-import { chromium } from 'playwright-core';
+import { createHash } from 'node:crypto';
+import { readFile, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { checkQuota, recordAction, getAgentUsage, validateQuotaConfig } from './lib/quota.js';
+import { findCompletedAction, recordCompletedAction, markActionReported, getUnreportedActions, getIdempotencyKey } from './lib/action-journal.js';
+import { createSessionCache } from './lib/session-cache.js';
+import { createBrowserProviders, resolveBrowserTarget, getAvailableProviders } from './lib/browser-providers/index.js';
+import { loadChallengeRules, detectChallenge } from './lib/challenge-detector.js';
+import { createCounter, createGauge, createHistogram, renderMetrics } from './lib/metrics.js';
+import { startHealthServer } from './lib/health-server.js';
+import { createArtifactStore, buildArtifactKey } from './lib/artifact-store.js';
+import { logger, setBaseFields, runWithLogContext, registerSecret, redact, redactSecrets } from './lib/logger.js';
+import { decryptEnvelopes, decryptSecret, sealSecret, hasEncryptionKey, encryptSecret } from './lib/secrets.js';
+import { exportStorageState, restoreStorageState, getEarliestExpiry } from './lib/storage-state.js';
+import {
+  renderTemplate,
+  getTemplateVariables,
+  variablesFromLead,
+  variablesFromProfile,
+  mergeVariables,
+  CONNECTION_NOTE_LIMIT,
+  MESSAGE_LIMIT
+} from './lib/template.js';
+import {
+  registerAction,
+  getActionDefinition,
+  getSupportedActionTypes,
+  validatePayload
+} from './lib/registry.js';
+import * as formats from './lib/validators.js';
+import {
+  ErrorCategory,
+  RetryableError,
+  NonRetryableError,
+  NeedsHumanError,
+  ValidationError,
+  SessionExpiredError,
+  LeaseLostError,
+  classifyError
+} from './lib/errors.js';
 
 // Configuration from environment - Multi-agent worker (no AGENT_ID required)
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -6,26 +47,192 @@ const WORKER_SECRET = process.env.WORKER_SECRET;
 const GOLOGIN_API_TOKEN = process.env.GOLOGIN_API_TOKEN;
 const WORKER_ID = process.env.WORKER_ID || `worker-${Date.now()}`;
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || '5000');
+// Default browser provider (gologin, local or cdp); an agent's browser profile can choose its own
+const BROWSER_PROVIDER = process.env.BROWSER_PROVIDER || 'gologin';
+// Record a Playwright trace for every action and keep it when the action fails (see lib/artifact-store.js for backends).
+// Traces hold the network headers of every request, including the live li_at session cookie, and nothing
+// strips them - so they need ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES=true as well.
+const ARTIFACT_TRACES = process.env.ARTIFACT_TRACES === 'true';
+const ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES = process.env.ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES === 'true';
+// Push CAPTCHA screenshots inline as data URLs when the artifact store can't serve a URL (e.g. local).
+// Such stores need an explicit true or false here, so screenshots never go missing silently.
+const CAPTCHA_INLINE_SCREENSHOTS = process.env.CAPTCHA_INLINE_SCREENSHOTS === 'true';
+// How long the signed link to a CAPTCHA screenshot works; a fresh one is pushed every 15s while waiting
+const CAPTCHA_SCREENSHOT_URL_TTL = 15 * 60;
+// Rehearse outreach: compose connection notes and messages but never press Send (also per action via payload.dryRun)
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const MAX_CONCURRENCY = Math.max(1, parseInt(process.env.MAX_CONCURRENCY || '3'));
+// How long a browser session stays warm after its last action (0 = always stop the profile)
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT || '120000');
+// Try the agent's stored session cookies before giving up on an expired session
+const AUTO_RELOGIN = process.env.AUTO_RELOGIN !== 'false';
+// Retry policy for failed actions (the backend requeues using the reported retryAfter)
+const MAX_ACTION_ATTEMPTS = parseInt(process.env.MAX_ACTION_ATTEMPTS || '3');
+const RETRY_BASE_DELAY = parseInt(process.env.RETRY_BASE_DELAY || '60000');
+const RETRY_MAX_DELAY = parseInt(process.env.RETRY_MAX_DELAY || '3600000');
+// How long in-flight actions may keep running after SIGTERM/SIGINT before they are handed back
+const SHUTDOWN_GRACE_PERIOD = parseInt(process.env.SHUTDOWN_GRACE_PERIOD || '30000');
+// After their browsers are closed, how long handlers get to notice before their actions are handed back
+const SHUTDOWN_ABORT_WAIT = 10000;
+// Claimed actions are leased; the lease is renewed while the action is queued or runs so crashed workers' claims expire
+const LEASE_DURATION = parseInt(process.env.LEASE_DURATION || '120000');
+const LEASE_RENEW_INTERVAL = parseInt(process.env.LEASE_RENEW_INTERVAL || '30000');
+// Optional local /healthz, /readyz and /metrics server (disabled unless a port is set)
+const METRICS_PORT = process.env.METRICS_PORT ? parseInt(process.env.METRICS_PORT) : null;
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+// Multiplier for human-like delays (the offline test suite shortens them)
+const HUMAN_DELAY_SCALE = parseFloat(process.env.HUMAN_DELAY_SCALE || '1');
+
+setBaseFields({ workerId: WORKER_ID });
 
 // Validate required environment variables
 const missingVars = [];
 if (!SUPABASE_URL) missingVars.push('SUPABASE_URL');
 if (!WORKER_SECRET) missingVars.push('WORKER_SECRET');
-if (!GOLOGIN_API_TOKEN) missingVars.push('GOLOGIN_API_TOKEN');
+// Agents can still pick GoLogin per profile; without a token those actions fail with browser_provider_unavailable
+if (BROWSER_PROVIDER === 'gologin' && !GOLOGIN_API_TOKEN) missingVars.push('GOLOGIN_API_TOKEN');
 
 if (missingVars.length > 0) {
-  console.error('Missing required environment variables:', missingVars.join(', '));
-  console.error('Required: SUPABASE_URL, WORKER_SECRET, GOLOGIN_API_TOKEN');
+  logger.error('Missing required environment variables:', missingVars.join(', '));
+  logger.error('Required: SUPABASE_URL, WORKER_SECRET, GOLOGIN_API_TOKEN (unless BROWSER_PROVIDER is local or cdp)');
+  process.exit(1);
+}
+
+if (ARTIFACT_TRACES && !ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES) {
+  logger.error('ARTIFACT_TRACES uploads live LinkedIn session cookies (li_at) inside the trace files');
+  logger.error('Set ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES=true to accept that, or unset ARTIFACT_TRACES');
+  process.exit(1);
+}
+
+try {
+  validateQuotaConfig();
+} catch (error) {
+  logger.error('Invalid quota configuration:', error.message);
+  process.exit(1);
+}
+
+// Screenshots, HTML snapshots and traces of failed or challenged actions
+let artifactStore;
+try {
+  artifactStore = createArtifactStore();
+} catch (error) {
+  logger.error('Invalid artifact store configuration:', error.message);
+  process.exit(1);
+}
+
+if (!artifactStore.servesUrls && process.env.CAPTCHA_INLINE_SCREENSHOTS === undefined) {
+  logger.error(`ARTIFACT_STORE=${artifactStore.backend} can't give users a link to CAPTCHA screenshots`);
+  logger.error('Use an s3 or supabase store, or set CAPTCHA_INLINE_SCREENSHOTS=true (push them inline) or false (no screenshots)');
+  process.exit(1);
+}
+
+// Challenge detection rules (CHALLENGE_RULES_FILE overrides the bundled set)
+let challengeRules;
+try {
+  challengeRules = loadChallengeRules();
+} catch (error) {
+  logger.error('Invalid challenge rule set:', error.message);
   process.exit(1);
 }
 
-console.log(`Worker ${WORKER_ID} starting in MULTI-AGENT mode`);
-console.log('This worker will process actions for ALL agents in the workspace');
-console.log('Using GoLogin Cloud Browser (no local Chrome needed)');
+logger.info(`Worker ${WORKER_ID} starting in MULTI-AGENT mode`);
+logger.info('This worker will process actions for ALL agents in the workspace');
+logger.info(`Default browser provider: ${BROWSER_PROVIDER}`);
+if (DRY_RUN) {
+  logger.warn('DRY RUN: connection requests and messages are composed but not sent');
+}
 
 // Statistics
 let actionsProcessed = 0;
 let actionsFailed = 0;
+let actionsDeferred = 0;
+
+// ============================================
+// Worker Pool State
+// ============================================
+
+// One slot per action that may run in parallel
+const slots = Array.from({ length: MAX_CONCURRENCY }, (_, index) => ({
+  slot: index,
+  status: 'idle',
+  actionId: null,
+  actionType: null,
+  agentId: null,
+  profileId: null,
+  startedAt: null
+}));
+
+// Leased actions waiting for a free slot or for their agent/profile to be released
+const pendingActions = [];
+
+// When we last claimed or renewed each leased action: actionId -> timestamp
+const leaseRenewedAt = new Map();
+
+// Agents and browser profiles (session keys) that currently have an action in flight
+const busyAgents = new Set();
+const busyProfiles = new Set();
+
+// actionId -> { action, promise } for every running action
+const inFlight = new Map();
+
+// Actions that are no longer ours - released during shutdown or lease taken over.
+// Their late failures are not reported.
+const abandonedActionIds = new Set();
+
+let shuttingDown = false;
+
+// ============================================
+// Metrics
+// ============================================
+
+const metrics = {
+  actions: createCounter('linkedin_worker_actions_total', 'Actions handled, by type and outcome'),
+  actionDuration: createHistogram(
+    'linkedin_worker_action_duration_seconds',
+    'Time from slot start to reported outcome',
+    [1, 5, 15, 30, 60, 120, 300, 600, 900]
+  ),
+  browserStartDuration: createHistogram(
+    'linkedin_worker_browser_start_duration_seconds',
+    'Time to start or connect to a browser profile, by provider (GoLogin includes its retries)',
+    [1, 2, 5, 10, 20, 30, 60, 120]
+  ),
+  browserStartFailures: createCounter('linkedin_worker_browser_start_failures_total', 'Browser profile starts that failed, by provider and error code'),
+  challenges: createCounter('linkedin_worker_challenges_detected_total', 'LinkedIn login challenges seen by detectChallengeType, by type'),
+  pollErrors: createCounter('linkedin_worker_poll_errors_total', 'Failed worker-poll requests')
+};
+
+createGauge('linkedin_worker_slots', 'Worker pool slots by status', () => [
+  { labels: { status: 'busy' }, value: getBusySlots().length },
+  { labels: { status: 'idle' }, value: MAX_CONCURRENCY - getBusySlots().length }
+]);
+createGauge('linkedin_worker_queued_actions', 'Leased actions waiting for a slot or a busy agent', () => pendingActions.length);
+createGauge('linkedin_worker_warm_sessions', 'Browser sessions held open in the session cache', () => sessionCache.list().length);
+
+// Readiness: the main loop is running and has reached the backend recently. A full pool
+// skips polling, so the loop's heartbeat counts too.
+let mainLoopStarted = false;
+let lastSuccessfulPollAt = null;
+let lastSuccessfulHeartbeatAt = null;
+
+function getWorkerStatus() {
+  const lastContactAt = Math.max(lastSuccessfulPollAt || 0, lastSuccessfulHeartbeatAt || 0);
+  const backendHealthy = lastContactAt > 0 && Date.now() - lastContactAt < Math.max(POLL_INTERVAL * 3, 30000);
+  
+  return {
+    ready: mainLoopStarted && !shuttingDown && backendHealthy,
+    workerId: WORKER_ID,
+    shuttingDown,
+    lastSuccessfulPollAt: lastSuccessfulPollAt ? new Date(lastSuccessfulPollAt).toISOString() : null,
+    lastSuccessfulHeartbeatAt: lastSuccessfulHeartbeatAt ? new Date(lastSuccessfulHeartbeatAt).toISOString() : null,
+    busySlots: getBusySlots().length,
+    maxConcurrency: MAX_CONCURRENCY,
+    queuedActions: pendingActions.length,
+    actionsProcessed,
+    actionsFailed,
+    actionsDeferred
+  };
+}
 
 // ============================================
 // Edge Function Helpers (replaces direct Supabase access)
@@ -43,7 +250,9 @@ async function callEdgeFunction(functionName, body) {
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Edge function ${functionName} failed: ${response.status} - ${errorText}`);
+    const error = new Error(`Edge function ${functionName} failed: ${response.status} - ${errorText}`);
+    error.status = response.status;
+    throw error;
   }
 
   return response.json();
@@ -55,10 +264,11 @@ async function updateAgentState(agentId, loginState, extraData = {}) {
       workerId: WORKER_ID,
       agentId,
       loginState,
-      ...extraData
+      ...extraData,
+      ...(extraData.loginError ? { loginError: redactSecrets(extraData.loginError) } : {})
     });
   } catch (error) {
-    console.error('Failed to update agent state:', error.message);
+    logger.error('Failed to update agent state:', error.message);
   }
 }
 
@@ -70,50 +280,220 @@ async function sendHeartbeat(status = 'idle', currentActionId = null, agentId =
       status,
       currentActionId,
       actionsProcessed,
-      actionsFailed
+      actionsFailed,
+      actionsDeferred,
+      maxConcurrency: MAX_CONCURRENCY,
+      queuedActions: pendingActions.length,
+      supportedActionTypes: getSupportedActionTypes(),
+      browserProviders: getAvailableProviders(browserProviders),
+      dryRun: DRY_RUN,
+      slots: slots.map(slot => ({ ...slot })),
+      warmSessions: sessionCache.list()
     });
+    lastSuccessfulHeartbeatAt = Date.now();
   } catch (error) {
-    console.error('Heartbeat error:', error.message);
+    logger.error('Heartbeat error:', error.message);
   }
 }
 
-async function pollForActions() {
+// excludeAgentIds: agents whose next action would only wait in our queue
+async function pollForActions(limit = 1, excludeAgentIds = []) {
   try {
     const data = await callEdgeFunction('worker-poll', {
       workerId: WORKER_ID,
       // No agentId - poll for ALL agents
-      limit: 1
+      limit,
+      excludeAgentIds,
+      leaseSeconds: LEASE_DURATION / 1000
     });
     
-    // Return first action or null
-    return data.actions?.[0] || null;
+    lastSuccessfulPollAt = Date.now();
+    return data.actions || [];
     
   } catch (error) {
-    console.error('Poll error:', error.message);
-    return null;
+    logger.error('Poll error:', error.message);
+    metrics.pollErrors.inc();
+    return [];
   }
 }
 
-async function reportResult(actionId, status, result = null, errorMessage = null) {
+// extraData carries status-specific fields, e.g. deferUntil for 'deferred'.
+// Returns whether the backend accepted the report.
+async function reportResult(actionId, status, result = null, errorMessage = null, extraData = {}) {
   try {
     await callEdgeFunction('worker-report', {
       workerId: WORKER_ID,
       actionId,
       status,
-      result,
-      errorMessage
+      // Credentials must never travel back inside results or error messages
+      result: redactSecrets(result),
+      errorMessage: redactSecrets(errorMessage),
+      ...extraData
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to report result:', error.message);
+    return false;
+  }
+}
+
+// Completed actions are journaled before they are reported, so a lost report
+// is replayed later instead of the backend requeueing (and re-sending) the action
+async function reportCompleted(action, result, extraData) {
+  const report = { status: 'completed', result: redactSecrets(result), errorMessage: null, ...extraData };
+  
+  // Only journal what actually went out: rehearsals and outcomes like weekly_limit_reached or a
+  // missing Message button must not answer a later retry with the same idempotency key
+  if (!result?.dryRun && result?.success !== false) {
+    recordCompletedAction(action, report);
+  }
+  
+  if (await reportResult(action.id, 'completed', result, null, extraData)) {
+    markActionReported(action.id);
+  }
+}
+
+// Retry reports that didn't get through earlier (this run or a previous one)
+async function replayUnreportedResults() {
+  for (const entry of getUnreportedActions()) {
+    const { status, result, errorMessage, ...extraData } = entry.report;
+    try {
+      await callEdgeFunction('worker-report', {
+        workerId: WORKER_ID,
+        actionId: entry.actionId,
+        status,
+        result,
+        errorMessage,
+        ...extraData,
+        replayed: true
+      });
+      markActionReported(entry.actionId);
+      logger.info(`[JOURNAL] Replayed the lost report of action ${entry.actionId}`);
+    } catch (error) {
+      // The backend knows the action but won't take the report (e.g. someone else holds it now)
+      if (error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429) {
+        logger.warn(`[JOURNAL] Backend rejected the replayed report of action ${entry.actionId}, giving up:`, error.message);
+        markActionReported(entry.actionId);
+      } else {
+        logger.warn(`[JOURNAL] Could not replay the report of action ${entry.actionId}, will retry:`, error.message);
+        return;
+      }
+    }
+  }
+}
+
+// ============================================
+// Action Leases
+// ============================================
+
+// Extend our claim on an action. Piggybacks on worker-poll like checkAgent2FA.
+// Resolves to { renewed: false, ownerWorkerId } when the backend refuses because another worker
+// owns the action now; throws when the backend answers without saying either way.
+async function renewLease(actionId) {
+  let data;
+  try {
+    data = await callEdgeFunction('worker-poll', {
+      workerId: WORKER_ID,
+      renewLease: actionId,
+      leaseSeconds: LEASE_DURATION / 1000
     });
   } catch (error) {
-    console.error('Failed to report result:', error.message);
+    if (error.status === 409 || error.status === 410) {
+      return { renewed: false, ownerWorkerId: null };
+    }
+    throw error;
+  }
+  
+  if (data?.leaseRenewed === false) {
+    return { renewed: false, ownerWorkerId: data.ownerWorkerId || null };
+  }
+  // A backend that ignores renewLease answers like a normal poll - that is no renewal
+  if (data?.leaseRenewed !== true) {
+    throw new RetryableError(`Lease renewal for action ${actionId} was not confirmed by the backend`, { code: 'lease_unconfirmed' });
+  }
+  leaseRenewedAt.set(actionId, Date.now());
+  return { renewed: true };
+}
+
+// Queued actions can wait for their agent longer than a lease lasts; keep their claims alive
+// and drop the ones another worker has taken over
+async function renewQueuedLeases() {
+  for (const action of [...pendingActions]) {
+    if (Date.now() - (leaseRenewedAt.get(action.id) || 0) < LEASE_RENEW_INTERVAL) continue;
+    
+    try {
+      const lease = await renewLease(action.id);
+      if (!lease.renewed) {
+        dropQueuedAction(action, lease.ownerWorkerId);
+      }
+    } catch (error) {
+      logger.warn(`[LEASE] Failed to renew lease for queued action ${action.id}:`, error.message);
+    }
+  }
+}
+
+function dropQueuedAction(action, ownerWorkerId) {
+  const index = pendingActions.indexOf(action);
+  if (index === -1) return;
+  
+  pendingActions.splice(index, 1);
+  leaseRenewedAt.delete(action.id);
+  logger.warn(`[LEASE] Renewal refused for queued action ${action.id}${ownerWorkerId ? ` (now owned by ${ownerWorkerId})` : ''}, dropping it`);
+  metrics.actions.inc({ action_type: action.action_type, outcome: 'abandoned' });
+}
+
+// Before anything is sent, make sure a lease that may have lapsed while queued is still ours
+async function confirmLease(action) {
+  if (Date.now() - (leaseRenewedAt.get(action.id) || 0) < LEASE_RENEW_INTERVAL) return;
+  
+  const lease = await renewLease(action.id);
+  if (!lease.renewed) {
+    throw new LeaseLostError(action.id, lease.ownerWorkerId);
   }
 }
 
+// Keep renewing while the action runs; `lost` rejects with LeaseLostError if the lease is taken over
+function startLease(action) {
+  let rejectLost;
+  const lost = new Promise((_, reject) => {
+    rejectLost = reject;
+  });
+  lost.catch(() => {}); // Only matters while someone is racing it
+  
+  const timer = setInterval(async () => {
+    // Released during shutdown - the claim is no longer ours to keep
+    if (abandonedActionIds.has(action.id)) {
+      clearInterval(timer);
+      return;
+    }
+    
+    try {
+      const lease = await renewLease(action.id);
+      if (!lease.renewed) {
+        clearInterval(timer);
+        logger.warn(`[LEASE] Renewal refused for action ${action.id}${lease.ownerWorkerId ? ` (now owned by ${lease.ownerWorkerId})` : ''}, abandoning`);
+        abandonedActionIds.add(action.id);
+        rejectLost(new LeaseLostError(action.id, lease.ownerWorkerId));
+      }
+    } catch (error) {
+      // Transient problems don't cost us the lease yet - the next renewal may get through
+      logger.warn(`[LEASE] Failed to renew lease for action ${action.id}:`, error.message);
+    }
+  }, LEASE_RENEW_INTERVAL);
+  timer.unref?.();
+  
+  return {
+    lost,
+    stop: () => clearInterval(timer)
+  };
+}
+
 // ============================================
 // Human-like behavior utilities
 // ============================================
 
 async function humanDelay(min = 500, max = 2000) {
-  const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+  const delay = (Math.floor(Math.random() * (max - min + 1)) + min) * HUMAN_DELAY_SCALE;
   await new Promise(resolve => setTimeout(resolve, delay));
 }
 
@@ -123,7 +503,7 @@ async function typeHuman(page, selector, text) {
   await humanDelay(200, 500);
   
   for (const char of text) {
-    await element.pressSequentially(char, { delay: Math.random() * 150 + 50 });
+    await element.pressSequentially(char, { delay: (Math.random() * 150 + 50) * HUMAN_DELAY_SCALE });
     if (Math.random() < 0.1) {
       await humanDelay(300, 800);
     }
@@ -152,162 +532,156 @@ async function scrollHuman(page, direction = 'down', amount = null) {
 }
 
 // ============================================
-// GoLogin Cloud Browser Connection
+// Browser Sessions
 // ============================================
 
-async function startGoLoginProfile(profileId, maxRetries = 3) {
-  console.log(`Starting GoLogin Cloud Browser: ${profileId}`);
-  
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Step 1: Start the profile via GoLogin REST API
-      console.log(`Attempt ${attempt}: Starting profile via GoLogin API...`);
-      
-      const startResponse = await fetch(`https://api.gologin.com/browser/${profileId}/start?autoClose=false`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${GOLOGIN_API_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-      });
-      
-      if (!startResponse.ok) {
-        const errorText = await startResponse.text();
-        const status = startResponse.status;
-        
-        if (status === 403 || status === 401) {
-          throw new Error(`GoLogin API access denied (${status}). Check your API token.`);
-        }
-        if (status === 404) {
-          throw new Error(`GoLogin profile not found (404). Profile ID: ${profileId}`);
-        }
-        if (status === 409) {
-          // Profile already running - try to get existing session
-          console.log('Profile already running, attempting to connect to existing session...');
-          const statusResponse = await fetch(`https://api.gologin.com/browser/${profileId}/status`, {
-            method: 'GET',
-            headers: {
-              'Authorization': `Bearer ${GOLOGIN_API_TOKEN}`,
-            },
-          });
-          if (statusResponse.ok) {
-            const statusData = await statusResponse.json();
-            if (statusData.wsUrl) {
-              const browser = await chromium.connectOverCDP(statusData.wsUrl, { timeout: 90000 });
-              console.log('Connected to existing GoLogin session');
-              return { browser, wsUrl: statusData.wsUrl, profileId, isCloud: true };
-            }
-          }
-          // If we can't get existing session, stop and restart
-          await stopGoLoginProfileAPI(profileId);
-          await new Promise(r => setTimeout(r, 2000));
-          continue; // Retry the loop
-        }
-        
-        throw new Error(`Failed to start profile: ${status} - ${errorText}`);
-      }
-      
-      const startData = await startResponse.json();
-      console.log('GoLogin API response:', JSON.stringify(startData, null, 2));
-      
-      const wsUrl = startData.wsUrl || startData.ws?.puppeteer;
-      
-      if (!wsUrl) {
-        throw new Error(`No WebSocket URL returned from GoLogin API. Response: ${JSON.stringify(startData)}`);
-      }
-      
-      console.log(`Got WebSocket URL from GoLogin API: ${wsUrl.substring(0, 50)}...`);
-      
-      // Step 2: Connect via Playwright's CDP connection
-      const browser = await chromium.connectOverCDP(wsUrl, {
-        timeout: 90000, // 90 second connection timeout
-      });
-      
-      console.log(`Connected to GoLogin Cloud Browser (attempt ${attempt})`);
-      
-      return { browser, wsUrl, profileId, isCloud: true };
-      
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.message || String(error);
-      
-      console.warn(`Cloud connection failed (attempt ${attempt}/${maxRetries}): ${errorMsg}`);
-      
-      // Check for non-retryable errors
-      if (errorMsg.includes('access denied') || errorMsg.includes('401') || errorMsg.includes('403')) {
-        throw error;
-      }
-      
-      if (errorMsg.includes('not found') || errorMsg.includes('404')) {
-        throw error;
-      }
-      
-      // Check if error is retryable (transient failures)
-      const isRetryable = 
-        errorMsg.includes('500') ||
-        errorMsg.includes('502') ||
-        errorMsg.includes('503') ||
-        errorMsg.includes('504') ||
-        errorMsg.includes('ECONNRESET') ||
-        errorMsg.includes('ECONNREFUSED') ||
-        errorMsg.includes('timeout') ||
-        errorMsg.includes('ETIMEDOUT') ||
-        errorMsg.includes('network') ||
-        errorMsg.includes('socket hang up') ||
-        errorMsg.includes('WebSocket') ||
-        errorMsg.includes('409');
-      
-      if (isRetryable && attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 2000; // 4s, 8s, 16s exponential backoff
-        console.log(`Retrying in ${delay/1000}s...`);
-        await new Promise(r => setTimeout(r, delay));
-      } else if (!isRetryable) {
-        throw error;
-      }
-    }
+const browserProviders = createBrowserProviders();
+
+if (!browserProviders.has(BROWSER_PROVIDER)) {
+  logger.error(`Unknown BROWSER_PROVIDER: ${BROWSER_PROVIDER} (expected one of ${[...browserProviders.keys()].join(', ')})`);
+  process.exit(1);
+}
+
+// Like resolveBrowserTarget, but null instead of an error when the action has no usable browser profile
+function getBrowserTarget(action) {
+  try {
+    return resolveBrowserTarget(action, browserProviders, BROWSER_PROVIDER);
+  } catch {
+    return null;
   }
-  
-  throw lastError;
 }
 
-// Helper to stop profile via API only (no browser close)
-async function stopGoLoginProfileAPI(profileId) {
-  if (!profileId) return;
+// Session cache / busy-profile key for an action
+function getSessionKey(action) {
+  return getBrowserTarget(action)?.sessionKey || null;
+}
+
+// Start (or connect to) the browser and prepare the page actions run on
+async function openBrowserSession(sessionKey, target) {
+  const { provider, key } = target;
+  const stopTimer = metrics.browserStartDuration.startTimer({ provider: provider.name });
+  let opened;
+  try {
+    opened = await provider.open(target);
+    stopTimer();
+  } catch (error) {
+    metrics.browserStartFailures.inc({ provider: provider.name, code: classifyError(error).code || 'unknown' });
+    throw error;
+  }
+  
+  const session = { ...opened, key, provider };
   
   try {
-    console.log(`Stopping GoLogin profile via API: ${profileId}`);
-    const response = await fetch(`https://api.gologin.com/browser/${profileId}/stop`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${GOLOGIN_API_TOKEN}`,
-      },
-    });
+    // Get existing context or create new one
+    const context = session.context || session.browser.contexts()[0] || await session.browser.newContext();
+    const page = context.pages()[0] || await context.newPage();
     
-    if (response.ok) {
-      console.log('GoLogin profile stopped via API');
-    } else {
-      console.warn(`Failed to stop profile via API: ${response.status}`);
-    }
+    // Set viewport
+    await page.setViewportSize({ width: 1280, height: 800 });
+    
+    return { ...session, context, page };
   } catch (error) {
-    console.warn('Error stopping GoLogin profile via API:', error.message);
+    await provider.close(session);
+    throw error;
   }
 }
 
-async function stopGoLoginProfile(browser, profileId = null) {
-  // Close the browser connection first
-  if (browser) {
-    try {
-      await browser.close();
-      console.log('Browser connection closed');
-    } catch (error) {
-      console.warn('Error closing browser:', error.message);
-    }
+const sessionCache = createSessionCache({
+  idleTimeout: SESSION_IDLE_TIMEOUT,
+  openSession: openBrowserSession,
+  closeSession: session => session.provider.close(session)
+});
+
+// ============================================
+// Debug Artifacts
+// ============================================
+
+// actionId -> artifact references collected while the action ran (attached to its report)
+const actionArtifacts = new Map();
+
+function addActionArtifacts(actionId, refs) {
+  const stored = refs.filter(Boolean);
+  if (!actionId || stored.length === 0) return stored;
+
+  actionArtifacts.set(actionId, [...(actionArtifacts.get(actionId) || []), ...stored]);
+  return stored;
+}
+
+function takeActionArtifacts(actionId) {
+  const refs = actionArtifacts.get(actionId) || [];
+  actionArtifacts.delete(actionId);
+  return refs;
+}
+
+// Login form fields are blacked out in every screenshot that leaves the worker
+const CREDENTIAL_INPUT_SELECTORS = [
+  'input[type="password"]',
+  'input#username',
+  'input[name="session_key"]',
+  'input[name="session_password"]',
+  'input[name="pin"]'
+];
+
+function credentialInputs(page) {
+  return [page.locator(CREDENTIAL_INPUT_SELECTORS.join(', '))];
+}
+
+// Screenshot + HTML snapshot of the current page (secrets redacted), stored and remembered for the action's report
+async function captureArtifacts(page, action, label) {
+  if (artifactStore.backend === 'none' || !page || page.isClosed()) return [];
+
+  const prefix = buildArtifactKey(action.agent_id, action.id, `${Date.now()}-${label}`);
+  const refs = [];
+
+  try {
+    const screenshot = await page.screenshot({ type: 'png', fullPage: false, mask: credentialInputs(page) });
+    refs.push(await artifactStore.put(`${prefix}.png`, screenshot, { contentType: 'image/png', label: `${label}_screenshot` }));
+  } catch (error) {
+    logger.warn(`[ARTIFACT] Failed to capture screenshot (${label}):`, error.message);
+  }
+
+  try {
+    const html = Buffer.from(redact(await page.content()), 'utf8');
+    refs.push(await artifactStore.put(`${prefix}.html`, html, { contentType: 'text/html; charset=utf-8', label: `${label}_html` }));
+  } catch (error) {
+    logger.warn(`[ARTIFACT] Failed to capture page HTML (${label}):`, error.message);
+  }
+
+  return addActionArtifacts(action.id, refs);
+}
+
+async function startTrace(context) {
+  if (!ARTIFACT_TRACES || artifactStore.backend === 'none') return false;
+
+  try {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+    return true;
+  } catch (error) {
+    logger.warn('[ARTIFACT] Could not start Playwright trace:', error.message);
+    return false;
+  }
+}
+
+// Stop tracing; the trace is only uploaded when the action failed
+async function stopTrace(context, action, keep) {
+  const path = keep ? join(tmpdir(), `trace-${buildArtifactKey(action.id)}-${Date.now()}.zip`) : undefined;
+
+  try {
+    await context.tracing.stop(path ? { path } : {});
+    if (!path) return;
+
+    const trace = await readFile(path);
+    addActionArtifacts(action.id, [
+      await artifactStore.put(buildArtifactKey(action.agent_id, action.id, `${Date.now()}-trace.zip`), trace, {
+        contentType: 'application/zip',
+        label: 'trace'
+      })
+    ]);
+  } catch (error) {
+    logger.warn('[ARTIFACT] Could not save Playwright trace:', error.message);
+  } finally {
+    if (path) await unlink(path).catch(() => {});
   }
-  
-  // Stop the profile in GoLogin via API
-  await stopGoLoginProfileAPI(profileId);
 }
 
 // ============================================
@@ -316,174 +690,23 @@ async function stopGoLoginProfile(browser, profileId = null) {
 
 // Comprehensive challenge detection - distinguishes between different LinkedIn security challenges
 async function detectChallengeType(page) {
-  const pageText = await page.textContent('body').catch(() => '');
-  const lowerText = pageText.toLowerCase();
-  const url = page.url().toLowerCase();
-  
-  console.log('=== Challenge Detection Debug ===');
-  console.log('Current URL:', url);
-  console.log('Page text preview (first 500 chars):', lowerText.substring(0, 500));
-  
-  // 1. Check for CAPTCHA first (highest priority blocker)
-  const captchaIframe = await page.locator('iframe[src*="captcha"], iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="arkose"]').first();
-  if (await captchaIframe.isVisible({ timeout: 1000 }).catch(() => false)) {
-    console.log('CAPTCHA DETECTED: Found captcha iframe');
-    return { type: 'captcha', indicator: 'captcha_iframe' };
-  }
-  
-  const captchaIndicators = [
-    'prove you\'re human',
-    'security verification required',
-    'complete the security check',
-    'verify you\'re not a robot'
-  ];
-  for (const indicator of captchaIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`CAPTCHA DETECTED: matched "${indicator}"`);
-      return { type: 'captcha', indicator };
-    }
-  }
-  
-  // 2. Check for invalid credentials
-  const invalidCredentialIndicators = [
-    'that\'s not the right password',
-    'wrong password',
-    'incorrect password',
-    'please check your password',
-    'couldn\'t find a linkedin account',
-    'couldn\'t find an account',
-    'please enter a valid email'
-  ];
-  for (const indicator of invalidCredentialIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`INVALID CREDENTIALS DETECTED: matched "${indicator}"`);
-      return { type: 'invalid_credentials', indicator };
-    }
-  }
-  
-  // 3. Check for account locked/restricted
-  const accountLockedIndicators = [
-    'account has been restricted',
-    'your account has been temporarily restricted',
-    'we\'ve restricted your account',
-    'temporarily locked',
-    'unusual activity detected',
-    'account is temporarily restricted'
-  ];
-  for (const indicator of accountLockedIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`ACCOUNT LOCKED DETECTED: matched "${indicator}"`);
-      return { type: 'account_locked', indicator };
-    }
-  }
-  
-  // 4. Check for LinkedIn App Push Notification (VERY SPECIFIC phrases only)
-  const appApprovalIndicators = [
-    'approve this sign-in from your linkedin app',
-    'open the linkedin app to confirm',
-    'we sent a notification to your linkedin app',
-    'approve from the linkedin app',
-    'tap yes on the linkedin app',
-    'check your linkedin app',
-    'we\'ll send a push notification'
-  ];
-  for (const indicator of appApprovalIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`APP APPROVAL DETECTED: matched "${indicator}"`);
-      return { type: 'app_approval', indicator };
-    }
-  }
-  
-  // 5. Check for Email/SMS 2FA (code entry)
-  const emailSms2FAIndicators = [
-    'enter the code we sent',
-    'we sent a code to',
-    'check your email for a code',
-    'check your phone for a code',
-    'enter the 6 digit code',
-    'enter the 6-digit code',
-    'verification code sent',
-    'we\'ve sent a verification code'
-  ];
-  for (const indicator of emailSms2FAIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`EMAIL/SMS 2FA DETECTED: matched "${indicator}"`);
-      // Determine if email or SMS
-      const method = lowerText.includes('phone') || lowerText.includes('sms') || lowerText.includes('text message') ? 'sms' : 'email';
-      return { type: 'email_sms_2fa', indicator, method };
-    }
-  }
-  
-  // 6. Check for Authenticator App 2FA
-  const authenticator2FAIndicators = [
-    'authenticator app',
-    'authentication app',
-    'google authenticator',
-    'microsoft authenticator',
-    'enter the code from your authenticator'
-  ];
-  for (const indicator of authenticator2FAIndicators) {
-    if (lowerText.includes(indicator)) {
-      console.log(`AUTHENTICATOR 2FA DETECTED: matched "${indicator}"`);
-      return { type: 'authenticator_2fa', indicator };
-    }
-  }
-  
-  // 7. Check if on checkpoint/challenge page with code input field
-  if (url.includes('checkpoint') || url.includes('challenge') || url.includes('two-step')) {
-    // Check for code input fields
-    const codeInputSelectors = [
-      'input[name="pin"]',
-      '#input__phone_verification_pin',
-      '#input__email_verification_pin',
-      '[data-test="verification-code-input"]',
-      'input[placeholder*="code" i]',
-      'input[aria-label*="code" i]',
-      'input[maxlength="6"]'
-    ];
-    
-    for (const selector of codeInputSelectors) {
-      const element = await page.locator(selector).first();
-      if (await element.isVisible({ timeout: 500 }).catch(() => false)) {
-        console.log(`2FA CODE INPUT DETECTED: found "${selector}"`);
-        
-        // Try to determine type from surrounding text
-        if (lowerText.includes('phone') || lowerText.includes('sms')) {
-          return { type: 'email_sms_2fa', indicator: selector, method: 'sms' };
-        } else if (lowerText.includes('email')) {
-          return { type: 'email_sms_2fa', indicator: selector, method: 'email' };
-        }
-        return { type: 'email_sms_2fa', indicator: selector, method: 'unknown' };
-      }
-    }
-    
-    // On checkpoint but NO code input - check for app approval button/text more broadly
-    const hasApproveTapButton = await page.locator('button:has-text("I\'ve approved"), button:has-text("Done")').first().isVisible({ timeout: 500 }).catch(() => false);
-    if (hasApproveTapButton) {
-      console.log('APP APPROVAL DETECTED: Found approval confirmation button on checkpoint page');
-      return { type: 'app_approval', indicator: 'approval_button_present' };
-    }
-    
-    // Generic checkpoint with no clear indicator - DON'T assume app approval
-    console.log('UNKNOWN CHALLENGE: On checkpoint page but no clear indicator');
-    return { type: 'unknown_challenge', indicator: 'generic_checkpoint' };
+  const challenge = await classifyChallenge(page);
+  if (challenge.type !== 'none') {
+    metrics.challenges.inc({ type: challenge.type });
   }
+  return challenge;
+}
+
+// Shared by detectChallengeType and waitForCaptchaSolved; see lib/challenge-rules.json
+async function classifyChallenge(page, options = {}) {
+  const challenge = await detectChallenge(page, challengeRules, options);
   
-  // 8. Handle generic "Confirm it's you" - need more context
-  if (lowerText.includes('confirm it\'s you') || lowerText.includes('let\'s do a quick security check')) {
-    // Check what options are available on the page
-    const hasSendCodeButton = await page.locator('button:has-text("Send"), button:has-text("Get code")').first().isVisible({ timeout: 500 }).catch(() => false);
-    if (hasSendCodeButton) {
-      console.log('EMAIL/SMS 2FA DETECTED: Security check with send code option');
-      return { type: 'email_sms_2fa', indicator: 'security_check_send_code', method: 'unknown' };
-    }
-    
-    // Don't assume - this could be many things
-    console.log('UNKNOWN CHALLENGE: Generic security check page');
-    return { type: 'unknown_challenge', indicator: 'generic_security_check' };
+  logger.debug('[CHALLENGE] Challenge detection on', page.url());
+  if (challenge.type !== 'none') {
+    logger.info(`[CHALLENGE] Detected ${challenge.type} via rule ${challenge.ruleId} (confidence ${challenge.confidence}, locale ${challenge.locale || 'unknown'}): ${challenge.indicator}`);
   }
   
-  return { type: 'none', indicator: null };
+  return challenge;
 }
 
 // Check for login failure (bad password, account locked) - LEGACY, uses detectChallengeType internally
@@ -546,7 +769,7 @@ async function pollAndEnter2FACode(page, agentId, timeout) {
   const startTime = Date.now();
   const pollInterval = 3000; // Poll every 3 seconds
   
-  console.log(`[2FA] Polling for 2FA code for agent ${agentId}...`);
+  logger.info(`[2FA] Polling for 2FA code for agent ${agentId}...`);
   
   while (Date.now() - startTime < timeout) {
     try {
@@ -565,10 +788,11 @@ async function pollAndEnter2FACode(page, agentId, timeout) {
       
       if (response.ok) {
         const data = await response.json();
-        const twoFACode = data.twoFACode;
+        const twoFACode = decryptSecret(data.twoFACode);
         
         if (twoFACode && twoFACode.length === 6) {
-          console.log(`[2FA] Received code, entering on page...`);
+          registerSecret(twoFACode);
+          logger.info(`[2FA] Received code, entering on page...`);
           
           // Find code input field
           const codeInputSelectors = [
@@ -585,7 +809,7 @@ async function pollAndEnter2FACode(page, agentId, timeout) {
           for (const selector of codeInputSelectors) {
             const element = await page.locator(selector).first();
             if (await element.isVisible({ timeout: 500 }).catch(() => false)) {
-              console.log(`[2FA] Found input with selector: ${selector}`);
+              logger.info(`[2FA] Found input with selector: ${selector}`);
               
               // Clear and enter the code
               await element.click();
@@ -612,7 +836,7 @@ async function pollAndEnter2FACode(page, agentId, timeout) {
               for (const submitSelector of submitSelectors) {
                 const submitBtn = await page.locator(submitSelector).first();
                 if (await submitBtn.isVisible({ timeout: 500 }).catch(() => false)) {
-                  console.log(`[2FA] Clicking submit button: ${submitSelector}`);
+                  logger.info(`[2FA] Clicking submit button: ${submitSelector}`);
                   await clickHuman(page, submitSelector);
                   
                   // Clear the code from the database
@@ -623,30 +847,30 @@ async function pollAndEnter2FACode(page, agentId, timeout) {
               }
               
               // If no submit button found, code might auto-submit
-              console.log('[2FA] No submit button found, code may auto-submit');
+              logger.info('[2FA] No submit button found, code may auto-submit');
               await clearAgent2FACode(agentId);
               return true;
             }
           }
           
-          console.log('[2FA] Code received but no input field found on page');
+          logger.info('[2FA] Code received but no input field found on page');
         }
       }
     } catch (error) {
-      console.error('[2FA] Error polling for code:', error.message);
+      logger.error('[2FA] Error polling for code:', error.message);
     }
     
     // Check if we've already navigated away (user manually completed or auto-submit worked)
     const url = page.url();
     if (url.includes('/feed') || url.includes('/mynetwork') || url.includes('/in/')) {
-      console.log('[2FA] Already navigated to logged-in page');
+      logger.info('[2FA] Already navigated to logged-in page');
       return true;
     }
     
     await new Promise(resolve => setTimeout(resolve, pollInterval));
   }
   
-  console.log('[2FA] Timeout waiting for code');
+  logger.info('[2FA] Timeout waiting for code');
   return false;
 }
 
@@ -658,72 +882,74 @@ async function clearAgent2FACode(agentId) {
       agentId,
       clearTwoFACode: true
     });
-    console.log('[2FA] Cleared 2FA code from database');
+    logger.info('[2FA] Cleared 2FA code from database');
   } catch (error) {
-    console.error('[2FA] Failed to clear 2FA code:', error.message);
+    logger.error('[2FA] Failed to clear 2FA code:', error.message);
+  }
+}
+
+// Store the current CAPTCHA screenshot and show it to the user. Backends that can't
+// hand out a URL (local disk) fall back to an inline data URL for the dashboard.
+async function pushCaptchaScreenshot(page, action) {
+  const screenshot = await page.screenshot({ type: 'png', fullPage: false, mask: credentialInputs(page) });
+  const ref = await artifactStore.put(buildArtifactKey(action.agent_id, action.id, 'captcha.png'), screenshot, {
+    contentType: 'image/png',
+    label: 'captcha_screenshot',
+    urlTtl: CAPTCHA_SCREENSHOT_URL_TTL
+  });
+  
+  let captchaScreenshot = ref?.url || null;
+  if (!captchaScreenshot) {
+    if (!CAPTCHA_INLINE_SCREENSHOTS) {
+      logger.warn(`[CAPTCHA] Artifact store ${artifactStore.backend} has no URL for the screenshot, not showing it to the user (use an s3 or supabase store, or set CAPTCHA_INLINE_SCREENSHOTS=true)`);
+      return ref;
+    }
+    logger.info('[CAPTCHA] Artifact store has no URL for the screenshot, pushing it inline (CAPTCHA_INLINE_SCREENSHOTS)');
+    captchaScreenshot = `data:image/png;base64,${screenshot.toString('base64')}`;
   }
+  
+  await callEdgeFunction('worker-update-agent', {
+    workerId: WORKER_ID,
+    agentId: action.agent_id,
+    captchaScreenshot
+  });
+  
+  return ref;
 }
 
 // Wait for CAPTCHA to be solved by user (polls database for resolution)
-async function waitForCaptchaSolved(page, agentId, timeout) {
+async function waitForCaptchaSolved(page, action, timeout) {
+  const agentId = action.agent_id;
   const startTime = Date.now();
   const pollInterval = 5000; // Poll every 5 seconds
   const screenshotInterval = 15000; // Update screenshot every 15 seconds
   let lastScreenshotTime = 0;
   
-  console.log(`[CAPTCHA] Waiting for user to solve CAPTCHA for agent ${agentId}...`);
+  logger.info(`[CAPTCHA] Waiting for user to solve CAPTCHA for agent ${agentId}...`);
   
   // Update agent state to awaiting_captcha
   await updateAgentState(agentId, 'awaiting_captcha');
   
   // Capture initial screenshot and send to database
   try {
-    const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
-    const screenshotBase64 = screenshotBuffer.toString('base64');
-    const screenshotDataUrl = `data:image/png;base64,${screenshotBase64}`;
-    
-    await callEdgeFunction('worker-update-agent', {
-      workerId: WORKER_ID,
-      agentId,
-      captchaScreenshot: screenshotDataUrl
-    });
-    console.log('[CAPTCHA] Initial screenshot uploaded to database');
+    const ref = await pushCaptchaScreenshot(page, action);
+    addActionArtifacts(action.id, [ref]);
+    logger.info('[CAPTCHA] Initial screenshot uploaded to database');
     lastScreenshotTime = Date.now();
   } catch (error) {
-    console.error('[CAPTCHA] Failed to capture initial screenshot:', error.message);
+    logger.error('[CAPTCHA] Failed to capture initial screenshot:', error.message);
   }
   
   while (Date.now() - startTime < timeout) {
     // Check if we've navigated away from CAPTCHA page (user solved it)
     const url = page.url().toLowerCase();
-    const pageText = await page.textContent('body').catch(() => '');
-    const lowerText = pageText.toLowerCase();
-    
-    // Check if CAPTCHA is gone
-    const captchaIndicators = [
-      'prove you\'re human',
-      'security verification required',
-      'complete the security check',
-      'verify you\'re not a robot'
-    ];
-    
-    let captchaStillPresent = false;
-    for (const indicator of captchaIndicators) {
-      if (lowerText.includes(indicator)) {
-        captchaStillPresent = true;
-        break;
-      }
-    }
     
-    // Also check for CAPTCHA iframe
-    const captchaIframe = await page.locator('iframe[src*="captcha"], iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="arkose"]').first();
-    if (await captchaIframe.isVisible({ timeout: 1000 }).catch(() => false)) {
-      captchaStillPresent = true;
-    }
+    // Same captcha rules (text in every locale + iframes) as the initial detection
+    const captchaStillPresent = (await classifyChallenge(page, { types: ['captcha'] })).type === 'captcha';
     
     // If navigated to feed or no captcha indicators, CAPTCHA is solved
     if (url.includes('/feed') || url.includes('/mynetwork') || url.includes('/in/')) {
-      console.log('[CAPTCHA] Navigated to logged-in page - CAPTCHA solved!');
+      logger.info('[CAPTCHA] Navigated to logged-in page - CAPTCHA solved!');
       // Clear the screenshot from database
       await callEdgeFunction('worker-update-agent', {
         workerId: WORKER_ID,
@@ -734,7 +960,7 @@ async function waitForCaptchaSolved(page, agentId, timeout) {
     }
     
     if (!captchaStillPresent && !url.includes('checkpoint') && !url.includes('challenge')) {
-      console.log('[CAPTCHA] CAPTCHA indicators gone - checking login status...');
+      logger.info('[CAPTCHA] CAPTCHA indicators gone - checking login status...');
       // Clear the screenshot from database
       await callEdgeFunction('worker-update-agent', {
         workerId: WORKER_ID,
@@ -747,27 +973,19 @@ async function waitForCaptchaSolved(page, agentId, timeout) {
     // Update screenshot periodically
     if (Date.now() - lastScreenshotTime > screenshotInterval) {
       try {
-        const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
-        const screenshotBase64 = screenshotBuffer.toString('base64');
-        const screenshotDataUrl = `data:image/png;base64,${screenshotBase64}`;
-        
-        await callEdgeFunction('worker-update-agent', {
-          workerId: WORKER_ID,
-          agentId,
-          captchaScreenshot: screenshotDataUrl
-        });
-        console.log('[CAPTCHA] Screenshot updated');
+        await pushCaptchaScreenshot(page, action);
+        logger.info('[CAPTCHA] Screenshot updated');
         lastScreenshotTime = Date.now();
       } catch (error) {
-        console.error('[CAPTCHA] Failed to update screenshot:', error.message);
+        logger.error('[CAPTCHA] Failed to update screenshot:', error.message);
       }
     }
     
-    console.log(`[CAPTCHA] Still waiting... (${Math.floor((Date.now() - startTime) / 1000)}s elapsed)`);
+    logger.info(`[CAPTCHA] Still waiting... (${Math.floor((Date.now() - startTime) / 1000)}s elapsed)`);
     await new Promise(resolve => setTimeout(resolve, pollInterval));
   }
   
-  console.log('[CAPTCHA] Timeout waiting for CAPTCHA to be solved');
+  logger.info('[CAPTCHA] Timeout waiting for CAPTCHA to be solved');
   // Clear the screenshot from database on timeout
   await callEdgeFunction('worker-update-agent', {
     workerId: WORKER_ID,
@@ -803,23 +1021,101 @@ async function verifyLogin(page) {
   return false;
 }
 
+function buildLinkedInCookies(liAt, liA = null) {
+  return [
+    {
+      name: 'li_at',
+      value: liAt,
+      domain: '.linkedin.com',
+      path: '/',
+      httpOnly: true,
+      secure: true,
+    },
+    ...(liA ? [{
+      name: 'li_a',
+      value: liA,
+      domain: '.linkedin.com',
+      path: '/',
+      httpOnly: true,
+      secure: true,
+    }] : []),
+  ];
+}
+
+// Pre-flight for actions that need a signed-in profile. Re-applies the agent's stored
+// cookies once if the session is gone; otherwise flags the agent for re-auth.
+async function ensureLoggedIn(page, context, action) {
+  const agentId = action.agent_id;
+  
+  // A warm session is usually still on a LinkedIn page we can check in place
+  if (page.url().includes('linkedin.com') && await verifyLogin(page)) {
+    return;
+  }
+  
+  await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded' });
+  await humanDelay(1500, 2500);
+  
+  if (await verifyLogin(page)) {
+    return;
+  }
+  
+  logger.info(`[SESSION] LinkedIn session missing for agent ${agentId} (landed on ${page.url()})`);
+  
+  const storedState = action.agent?.storage_state || action.storage_state;
+  const storedCookies = action.agent?.session_cookies || action.session_cookies;
+  if (AUTO_RELOGIN && (storedState || storedCookies?.li_at)) {
+    let restored = false;
+    if (storedState) {
+      logger.info('[SESSION] Attempting cookie-based re-login with stored storage state...');
+      restored = await restoreStorageState(context, page, storedState).then(() => true, error => {
+        logger.warn('[SESSION] Stored storage state is unusable:', error.message);
+        return false;
+      });
+    }
+    if (!restored && storedCookies?.li_at) {
+      registerSecret(storedCookies.li_at);
+      registerSecret(storedCookies.li_a);
+      logger.info('[SESSION] Attempting cookie-based re-login with stored session cookies...');
+      await context.addCookies(buildLinkedInCookies(storedCookies.li_at, storedCookies.li_a));
+    }
+    await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded' });
+    await humanDelay(1500, 2500);
+    
+    if (await verifyLogin(page)) {
+      logger.info('[SESSION] Cookie re-login successful');
+      return;
+    }
+    logger.info('[SESSION] Stored cookies are expired too');
+  }
+  
+  await updateAgentState(agentId, 'session_expired', {
+    status: 'needs_reauth',
+    loginError: 'LinkedIn session expired - please log in again'
+  });
+  
+  throw new SessionExpiredError();
+}
+
 async function extractSessionAndComplete(context, agentId) {
   await updateAgentState(agentId, 'extracting_profile');
   
-  // Get all cookies
-  const cookies = await context.cookies();
+  // Full LinkedIn cookie jar and localStorage (auth cookie values are registered as secrets)
+  const storageState = await exportStorageState(context);
   
   // Find LinkedIn session cookies
-  const liAtCookie = cookies.find(c => c.name === 'li_at');
-  const liACookie = cookies.find(c => c.name === 'li_a');
+  const liAtCookie = storageState.cookies.find(c => c.name === 'li_at');
+  const liACookie = storageState.cookies.find(c => c.name === 'li_a');
   
   if (!liAtCookie) {
     throw new Error('Failed to extract li_at session cookie');
   }
   
-  console.log('Session cookies extracted successfully');
+  // The backend schedules re-authentication ahead of this
+  const sessionExpiresAt = getEarliestExpiry(storageState);
   
-  // Update agent via Edge Function with session cookies
+  logger.info(`Session extracted: ${storageState.cookies.length} cookies, ${storageState.origins.length} origins with localStorage, expires ${sessionExpiresAt || 'with the browser session'}`);
+  
+  // Update agent via Edge Function with session cookies (as envelopes when a credential key is set)
   await callEdgeFunction('worker-update-agent', {
     workerId: WORKER_ID,
     agentId,
@@ -827,17 +1123,21 @@ async function extractSessionAndComplete(context, agentId) {
     status: 'connected',
     loginError: null,
     sessionCookies: {
-      li_at: liAtCookie.value,
-      li_a: liACookie?.value || null
-    }
+      li_at: sealSecret(liAtCookie.value),
+      li_a: sealSecret(liACookie?.value || null)
+    },
+    storageState: hasEncryptionKey() ? encryptSecret(JSON.stringify(storageState)) : storageState,
+    sessionExpiresAt
   });
   
-  console.log('Login completed successfully');
+  logger.info('Login completed successfully');
   
   return {
     success: true,
     message: 'LinkedIn login successful',
-    hasCookies: true
+    hasCookies: true,
+    cookieCount: storageState.cookies.length,
+    sessionExpiresAt
   };
 }
 
@@ -845,7 +1145,7 @@ async function extractSessionAndComplete(context, agentId) {
 // Challenge Debug Logger with Screenshot
 // ============================================
 
-async function logChallengeDebug(page, agentId, challengeType) {
+async function logChallengeDebug(page, action, challengeType) {
   try {
     const url = page.url();
     const pageText = await page.textContent('body').catch(() => '');
@@ -864,40 +1164,20 @@ async function logChallengeDebug(page, agentId, challengeType) {
       }));
     });
     
-    // Take screenshot as base64
-    let screenshotBase64 = '';
-    try {
-      const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
-      screenshotBase64 = screenshotBuffer.toString('base64');
-      console.log(`[DEBUG] Screenshot captured (${screenshotBase64.length} chars base64)`);
-    } catch (screenshotError) {
-      console.error('[DEBUG] Failed to capture screenshot:', screenshotError.message);
-    }
+    // Screenshot and HTML go to the artifact store; the log line only carries their keys
+    const artifacts = await captureArtifacts(page, action, `challenge-${challengeType}`);
     
-    // Log detailed debug info
-    console.log('╔════════════════════════════════════════════════════════════╗');
-    console.log('║             CHALLENGE DEBUG INFO                           ║');
-    console.log('╠════════════════════════════════════════════════════════════╣');
-    console.log(`║ Agent ID: ${agentId}`);
-    console.log(`║ Challenge Type: ${challengeType}`);
-    console.log(`║ URL: ${url}`);
-    console.log('╠════════════════════════════════════════════════════════════╣');
-    console.log('║ Page Text (first 1500 chars):');
-    console.log(pageText.substring(0, 1500));
-    console.log('╠════════════════════════════════════════════════════════════╣');
-    console.log('║ Input Fields:', JSON.stringify(inputFields, null, 2));
-    console.log('╚════════════════════════════════════════════════════════════╝');
-    
-    // Log the full screenshot base64 on a separate line for easy extraction from Railway logs
-    if (screenshotBase64) {
-      console.log('[SCREENSHOT_START]');
-      console.log(screenshotBase64);
-      console.log('[SCREENSHOT_END]');
-    }
+    logger.child({
+      challengeType,
+      url,
+      pageText: pageText.substring(0, 1500),
+      inputFields,
+      artifacts: artifacts.map(artifact => artifact.key)
+    }).info('[DEBUG] Challenge debug info');
     
-    return { url, pageText: pageText.substring(0, 1500), inputFields, screenshotBase64 };
+    return { url, pageText: pageText.substring(0, 1500), inputFields, artifacts };
   } catch (error) {
-    console.error('[DEBUG] Error logging challenge debug:', error.message);
+    logger.error('[DEBUG] Error logging challenge debug:', error.message);
     return null;
   }
 }
@@ -913,86 +1193,78 @@ async function handleLinkedInLogin(page, context, action, agentId) {
   const useCookies = payload.useCookies;
   const liAtCookie = payload.liAtCookie;
   const liACookie = payload.liACookie;
+  const storageState = payload.storageState;
+  
+  // Never let credentials show up in logs, even inside error messages
+  [email, password, liAtCookie, liACookie].forEach(registerSecret);
   
-  console.log(`[LOGIN] Starting LinkedIn login for agent ${agentId}`);
-  console.log(`[LOGIN] Has email: ${!!email}, Has password: ${!!password}, Use cookies: ${useCookies}`);
+  logger.info(`[LOGIN] Starting LinkedIn login for agent ${agentId}`);
+  logger.info(`[LOGIN] Has email: ${!!email}, Has password: ${!!password}, Use cookies: ${useCookies}`);
   
   try {
     // Step 1: Update status to navigating
     await updateAgentState(agentId, 'navigating');
     
     // Step 2: If using cookies, try cookie-based login first
-    if (useCookies && liAtCookie) {
-      console.log('[LOGIN] Attempting cookie-based login...');
-      await context.addCookies([
-        {
-          name: 'li_at',
-          value: liAtCookie,
-          domain: '.linkedin.com',
-          path: '/',
-          httpOnly: true,
-          secure: true,
-        },
-        ...(liACookie ? [{
-          name: 'li_a',
-          value: liACookie,
-          domain: '.linkedin.com',
-          path: '/',
-          httpOnly: true,
-          secure: true,
-        }] : []),
-      ]);
+    if (useCookies && (storageState || liAtCookie)) {
+      if (storageState) {
+        logger.info(`[LOGIN] Attempting cookie-based login with stored storage state (${storageState.cookies.length} cookies)...`);
+        await restoreStorageState(context, page, storageState);
+      } else {
+        logger.info('[LOGIN] Attempting cookie-based login...');
+        await context.addCookies(buildLinkedInCookies(liAtCookie, liACookie));
+      }
       
       await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'networkidle', timeout: 60000 });
       
       if (await verifyLogin(page)) {
-        console.log('[LOGIN] Cookie login successful!');
+        logger.info('[LOGIN] Cookie login successful!');
         return await extractSessionAndComplete(context, agentId);
       }
-      console.log('[LOGIN] Cookies invalid or expired, falling back to credentials');
+      logger.info('[LOGIN] Cookies invalid or expired, falling back to credentials');
     }
     
     // Step 3: Navigate to LinkedIn login page
-    console.log('[LOGIN] Navigating to LinkedIn login page...');
+    logger.info('[LOGIN] Navigating to LinkedIn login page...');
     await page.goto('https://www.linkedin.com/login', { waitUntil: 'networkidle', timeout: 60000 });
     await humanDelay(1500, 2500);
     
     // Check if already logged in
     if (await verifyLogin(page)) {
-      console.log('[LOGIN] Already logged in!');
+      logger.info('[LOGIN] Already logged in!');
       return await extractSessionAndComplete(context, agentId);
     }
     
     // Step 4: Enter credentials
     if (!email || !password) {
-      throw new Error('Missing email or password for login');
+      throw new NonRetryableError('Missing email or password for login', { code: 'missing_credentials' });
     }
     
     await updateAgentState(agentId, 'entering_credentials');
     
-    console.log('[LOGIN] Entering email...');
+    logger.info('[LOGIN] Entering email...');
     await typeHuman(page, 'input#username, input[name="session_key"]', email);
     await humanDelay(500, 1000);
     
-    console.log('[LOGIN] Entering password...');
+    logger.info('[LOGIN] Entering password...');
     await typeHuman(page, 'input#password, input[name="session_password"]', password);
     await humanDelay(500, 1000);
     
-    console.log('[LOGIN] Clicking sign in button...');
+    logger.info('[LOGIN] Clicking sign in button...');
     await clickHuman(page, 'button[type="submit"]');
     
     // Step 5: Wait for response and check for challenges
-    console.log('[LOGIN] Waiting for response...');
+    logger.info('[LOGIN] Waiting for response...');
     await humanDelay(4000, 6000);
     
     // Step 6: Detect any challenges
     const challenge = await detectChallengeType(page);
-    console.log(`[LOGIN] Challenge detection result: ${JSON.stringify(challenge)}`);
+    logger.info(`[LOGIN] Challenge detection result: ${JSON.stringify(challenge)}`);
     
     // ALWAYS log debug info when any challenge is detected
     if (challenge.type !== 'none') {
-      console.log('[LOGIN] Challenge detected, logging debug info with screenshot...');
-      await logChallengeDebug(page, agentId, challenge.type);
+      logger.info('[LOGIN] Challenge detected, logging debug info with screenshot...');
+      await logChallengeDebug(page, action, challenge.type);
     }
     
     // Step 7: Handle different challenge types
@@ -1000,45 +1272,45 @@ async function handleLinkedInLogin(page, context, action, agentId) {
       case 'none':
         // No challenge - check if login succeeded
         if (await verifyLogin(page)) {
-          console.log('[LOGIN] Login successful - no challenges!');
+          logger.info('[LOGIN] Login successful - no challenges!');
           return await extractSessionAndComplete(context, agentId);
         }
         // Unknown state
-        console.log('[LOGIN] No challenge detected but not logged in - unknown state');
-        await logChallengeDebug(page, agentId, 'unknown_no_challenge');
+        logger.info('[LOGIN] No challenge detected but not logged in - unknown state');
+        await logChallengeDebug(page, action, 'unknown_no_challenge');
         throw new Error('Login failed - ended in unknown state');
         
       case 'invalid_credentials':
         await updateAgentState(agentId, 'invalid_credentials', {
           loginError: 'Invalid email or password'
         });
-        throw new Error('Invalid credentials');
+        throw new NeedsHumanError('Invalid credentials', { code: 'invalid_credentials' });
         
       case 'account_locked':
         await updateAgentState(agentId, 'account_locked', {
           loginError: 'Account is locked or restricted'
         });
-        throw new Error('Account locked');
+        throw new NeedsHumanError('Account locked', { code: 'account_locked' });
         
       case 'captcha':
-        console.log('[LOGIN] CAPTCHA detected, waiting for user to solve...');
-        const captchaSolved = await waitForCaptchaSolved(page, agentId, 300000); // 5 minute timeout
+        logger.info('[LOGIN] CAPTCHA detected, waiting for user to solve...');
+        const captchaSolved = await waitForCaptchaSolved(page, action, 300000); // 5 minute timeout
         
         if (captchaSolved) {
-          console.log('[LOGIN] CAPTCHA solved! Checking login status...');
+          logger.info('[LOGIN] CAPTCHA solved! Checking login status...');
           
           // Wait a moment for page to settle
           await humanDelay(2000, 3000);
           
           // Check if we're now logged in
           if (await verifyLogin(page)) {
-            console.log('[LOGIN] CAPTCHA solved - login successful!');
+            logger.info('[LOGIN] CAPTCHA solved - login successful!');
             return await extractSessionAndComplete(context, agentId);
           }
           
           // Check for any follow-up challenges after CAPTCHA
           const postCaptchaChallenge = await detectChallengeType(page);
-          console.log(`[LOGIN] Post-CAPTCHA challenge: ${JSON.stringify(postCaptchaChallenge)}`);
+          logger.info(`[LOGIN] Post-CAPTCHA challenge: ${JSON.stringify(postCaptchaChallenge)}`);
           
           if (postCaptchaChallenge.type === 'none') {
             // Try login verification one more time
@@ -1047,7 +1319,7 @@ async function handleLinkedInLogin(page, context, action, agentId) {
             }
           } else if (postCaptchaChallenge.type === 'email_sms_2fa' || postCaptchaChallenge.type === 'authenticator_2fa') {
             // Handle 2FA after CAPTCHA
-            console.log('[LOGIN] 2FA required after CAPTCHA');
+            logger.info('[LOGIN] 2FA required after CAPTCHA');
             await updateAgentState(agentId, 'awaiting_2fa', {
               twoFAMethod: postCaptchaChallenge.method || 'unknown'
             });
@@ -1058,19 +1330,19 @@ async function handleLinkedInLogin(page, context, action, agentId) {
                 return await extractSessionAndComplete(context, agentId);
               }
             }
-            throw new Error('2FA failed after CAPTCHA');
+            throw new NeedsHumanError('2FA failed after CAPTCHA', { code: '2fa_failed' });
           } else if (postCaptchaChallenge.type === 'app_approval') {
-            console.log('[LOGIN] App approval required after CAPTCHA');
+            logger.info('[LOGIN] App approval required after CAPTCHA');
             await updateAgentState(agentId, 'awaiting_app_approval');
             const appApproved = await waitFor2FACompletion(page, 120000);
             if (appApproved) {
               return await extractSessionAndComplete(context, agentId);
             }
-            throw new Error('App approval timeout after CAPTCHA');
+            throw new NeedsHumanError('App approval timeout after CAPTCHA', { code: 'app_approval_timeout' });
           }
           
           // Unknown state after CAPTCHA
-          await logChallengeDebug(page, agentId, 'post_captcha_unknown');
+          await logChallengeDebug(page, action, 'post_captcha_unknown');
           throw new Error('Unknown state after CAPTCHA solved');
         }
         
@@ -1078,10 +1350,10 @@ async function handleLinkedInLogin(page, context, action, agentId) {
         await updateAgentState(agentId, 'failed', {
           loginError: 'CAPTCHA timeout - please try again'
         });
-        throw new Error('CAPTCHA timeout');
+        throw new NeedsHumanError('CAPTCHA timeout', { code: 'captcha_timeout' });
         
       case 'app_approval':
-        console.log('[LOGIN] LinkedIn App Approval required');
+        logger.info('[LOGIN] LinkedIn App Approval required');
         await updateAgentState(agentId, 'awaiting_app_approval', {
           twoFAMethod: 'linkedin_app'
         });
@@ -1090,13 +1362,13 @@ async function handleLinkedInLogin(page, context, action, agentId) {
         const approvalCompleted = await waitFor2FACompletion(page, 120000);
         
         if (approvalCompleted) {
-          console.log('[LOGIN] App approval completed!');
+          logger.info('[LOGIN] App approval completed!');
           return await extractSessionAndComplete(context, agentId);
         }
-        throw new Error('App approval timeout');
+        throw new NeedsHumanError('App approval timeout', { code: 'app_approval_timeout' });
         
       case 'email_sms_2fa':
-        console.log(`[LOGIN] Email/SMS 2FA required (method: ${challenge.method})`);
+        logger.info(`[LOGIN] Email/SMS 2FA required (method: ${challenge.method})`);
         await updateAgentState(agentId, 'awaiting_2fa', {
           twoFAMethod: challenge.method === 'sms' ? 'sms' : 'email'
         });
@@ -1109,21 +1381,21 @@ async function handleLinkedInLogin(page, context, action, agentId) {
           await humanDelay(3000, 5000);
           
           if (await verifyLogin(page)) {
-            console.log('[LOGIN] 2FA completed - login successful!');
+            logger.info('[LOGIN] 2FA completed - login successful!');
             return await extractSessionAndComplete(context, agentId);
           }
           
           // Check for invalid code
           const afterCodeChallenge = await detectChallengeType(page);
           if (afterCodeChallenge.type === 'email_sms_2fa') {
-            console.log('[LOGIN] Code may be invalid, still on 2FA page');
-            throw new Error('Invalid 2FA code - please try again');
+            logger.info('[LOGIN] Code may be invalid, still on 2FA page');
+            throw new NeedsHumanError('Invalid 2FA code - please try again', { code: 'invalid_2fa_code' });
           }
         }
-        throw new Error('2FA timeout - no code received');
+        throw new NeedsHumanError('2FA timeout - no code received', { code: '2fa_timeout' });
         
       case 'authenticator_2fa':
-        console.log('[LOGIN] Authenticator 2FA required');
+        logger.info('[LOGIN] Authenticator 2FA required');
         await updateAgentState(agentId, 'awaiting_2fa', {
           twoFAMethod: 'authenticator'
         });
@@ -1135,25 +1407,25 @@ async function handleLinkedInLogin(page, context, action, agentId) {
           await humanDelay(3000, 5000);
           
           if (await verifyLogin(page)) {
-            console.log('[LOGIN] Authenticator 2FA completed!');
+            logger.info('[LOGIN] Authenticator 2FA completed!');
             return await extractSessionAndComplete(context, agentId);
           }
         }
-        throw new Error('Authenticator 2FA timeout');
+        throw new NeedsHumanError('Authenticator 2FA timeout', { code: '2fa_timeout' });
         
       case 'unknown_challenge':
-        console.log('[LOGIN] Unknown challenge type detected');
+        logger.info('[LOGIN] Unknown challenge type detected');
         await updateAgentState(agentId, 'failed', {
           loginError: `Unknown challenge: ${challenge.indicator}`
         });
-        throw new Error(`Unknown challenge: ${challenge.indicator}`);
+        throw new NeedsHumanError(`Unknown challenge: ${challenge.indicator}`, { code: 'unknown_challenge' });
         
       default:
         throw new Error(`Unhandled challenge type: ${challenge.type}`);
     }
     
   } catch (error) {
-    console.error('[LOGIN] Login failed:', error.message);
+    logger.error('[LOGIN] Login failed:', error.message);
     throw error;
   }
 }
@@ -1162,77 +1434,309 @@ async function handleLinkedInLogin(page, context, action, agentId) {
 // Action Processing
 // ============================================
 
+// Reject a stuck handler; the session is evicted afterwards, which also stops the handler's page work
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 async function processAction(action) {
   const agentId = action.agent_id;
-  console.log(`Processing action: ${action.action_type} (${action.id}) for agent ${agentId}`);
+  logger.info(`Processing action: ${action.action_type} (${action.id}) for agent ${agentId}`);
   
-  // Get GoLogin profile ID from enriched action data
-  const gologinProfileId = action.gologin_profile?.profile_id;
-  if (!gologinProfileId) {
-    throw new Error('No GoLogin profile linked to this agent');
+  const definition = getActionDefinition(action.action_type);
+  if (!definition) {
+    throw new NonRetryableError(`Unknown action type: ${action.action_type}`, { code: 'unknown_action_type' });
   }
   
-  let browser = null;
-  let context = null;
+  // Which browser to use: the agent's browser profile (enriched action data) or the worker default
+  const target = resolveBrowserTarget(action, browserProviders, BROWSER_PROVIDER);
+  
+  let failed = false;
+  let session = null;
+  let tracing = false;
   
   try {
-    // Connect to GoLogin Cloud Browser
-    const profileData = await startGoLoginProfile(gologinProfileId);
-    browser = profileData.browser;
+    // Reuse a warm session for this profile or start a new one
+    session = await sessionCache.acquire(target.sessionKey, target);
+    const { context, page } = session;
     
-    // Get existing context or create new one
-    const contexts = browser.contexts();
-    context = contexts[0] || await browser.newContext();
-    const page = context.pages()[0] || await context.newPage();
+    // The lease may have been lost (or the action released) while the profile was starting
+    if (abandonedActionIds.has(action.id)) {
+      throw new Error(`Action ${action.id} was abandoned while its browser was starting`);
+    }
     
-    // Set viewport
-    await page.setViewportSize({ width: 1280, height: 800 });
+    page.setDefaultNavigationTimeout(definition.navigationTimeout);
     
-    // Process based on action type
-    let result;
+    if (definition.requiresLogin) {
+      await ensureLoggedIn(page, context, action);
+    }
     
-    switch (action.action_type) {
-      case 'linkedin_login':
-      case 'login': // Handle both for backwards compatibility
-        result = await handleLinkedInLogin(page, context, action, agentId);
-        break;
-      
-      case 'view_profile':
-        result = await handleViewProfile(page, action);
-        break;
-      
-      case 'send_connection':
-        result = await handleSendConnection(page, action);
-        break;
-      
-      case 'send_message':
-        result = await handleSendMessage(page, action);
-        break;
-      
-      default:
-        throw new Error(`Unknown action type: ${action.action_type}`);
+    // Traces record typed text verbatim, so they skip the login flow and a cookie re-login. They
+    // still carry the session cookie in every request's headers (see ARTIFACT_TRACES_ACCEPT_SESSION_COOKIES).
+    if (definition.requiresLogin) {
+      tracing = await startTrace(context);
     }
     
-    return result;
+    return await withTimeout(
+      definition.handler({ page, context, action, agentId }),
+      definition.timeout,
+      `Action ${action.action_type} timed out after ${definition.timeout / 1000}s`
+    );
+    
+  } catch (error) {
+    failed = true;
+    
+    // Keep the page as it was when the action failed (not worth it for actions that are no longer ours)
+    if (session && !abandonedActionIds.has(action.id) && !(error instanceof LeaseLostError)) {
+      await captureArtifacts(session.page, action, 'failure');
+    }
+    throw error;
     
   } finally {
-    // Cleanup: close cloud browser connection and stop profile
-    await stopGoLoginProfile(browser, gologinProfileId);
+    if (tracing) {
+      await stopTrace(session.context, action, failed && !abandonedActionIds.has(action.id));
+    }
+    
+    // Keep the session warm for the next action, or stop the profile if anything went wrong
+    await sessionCache.release(target.sessionKey, { evict: failed });
   }
 }
 
-// Placeholder handlers for other actions
+// ============================================
+// Profile Scraping
+// ============================================
+
+// Pull structured lead data out of a loaded profile page
+async function scrapeProfile(page) {
+  const raw = await page.evaluate(() => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const textOf = (root, selector) => clean(root.querySelector(selector)?.textContent);
+    
+    // LinkedIn duplicates visible text in visually-hidden spans; aria-hidden spans hold the display copy
+    const visibleLines = root => Array.from(root.querySelectorAll('span[aria-hidden="true"]'))
+      .map(span => clean(span.textContent))
+      .filter((line, index, lines) => line && lines.indexOf(line) === index);
+    
+    const sectionFor = anchorId => document.getElementById(anchorId)?.closest('section') || null;
+    
+    const listItems = section => section
+      ? Array.from(section.querySelectorAll('li.artdeco-list__item, li.pvs-list__paged-list-item')).map(visibleLines)
+      : [];
+    
+    const topCard = document.querySelector('main section') || document;
+    const aboutSection = sectionFor('about');
+    
+    return {
+      name: textOf(topCard, 'h1'),
+      headline: textOf(topCard, '.text-body-medium.break-words'),
+      location: textOf(topCard, '.text-body-small.inline.t-black--light.break-words'),
+      degreeText: textOf(topCard, '.dist-value, .distance-badge'),
+      about: aboutSection ? (visibleLines(aboutSection).slice(1).join('\n') || null) : null,
+      experience: listItems(sectionFor('experience')),
+      education: listItems(sectionFor('education'))
+    };
+  });
+  
+  // Experience item lines: title, "Company · Full-time", date range, location
+  const experience = raw.experience.map(lines => {
+    const [company, employmentType] = (lines[1] || '').split(' · ');
+    return {
+      title: lines[0] || null,
+      company: company || null,
+      employmentType: employmentType || null,
+      dateRange: lines[2] || null,
+      location: lines[3] || null
+    };
+  });
+  
+  // Education item lines: school, degree, date range
+  const education = raw.education.map(lines => ({
+    school: lines[0] || null,
+    degree: lines[1] || null,
+    dateRange: lines[2] || null
+  }));
+  
+  const [firstName, ...lastNameParts] = raw.name.split(' ');
+  const degreeMatch = raw.degreeText.match(/\b(1st|2nd|3rd)\b/);
+  
+  // Fall back to "Title at Company" headlines when the experience section is hidden
+  const headlineMatch = raw.headline.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  const currentRole = experience[0] || null;
+  
+  return {
+    name: raw.name || null,
+    firstName: firstName || null,
+    lastName: lastNameParts.join(' ') || null,
+    headline: raw.headline || null,
+    currentTitle: currentRole?.title || headlineMatch?.[1] || null,
+    currentCompany: currentRole?.company || headlineMatch?.[2] || null,
+    location: raw.location || null,
+    connectionDegree: degreeMatch ? degreeMatch[1] : null,
+    about: raw.about,
+    experience,
+    education
+  };
+}
+
+// Render action.payload.message for the lead; the open profile page fills variables the lead record lacks.
+// Spintax is seeded per action, so a retry composes exactly the text an earlier attempt may have sent.
+async function renderActionMessage(page, action, options) {
+  const template = action.payload?.message;
+  if (!template) return null;
+  
+  let variables = mergeVariables(action.payload?.variables, variablesFromLead(action.lead));
+  
+  const needsProfile = getTemplateVariables(template).some(variable => !variables[variable.name]);
+  if (needsProfile) {
+    logger.info('[TEMPLATE] Lead record incomplete, reading variables from profile page');
+    const profile = await scrapeProfile(page).catch(error => {
+      logger.warn('[TEMPLATE] Could not scrape profile for variables:', error.message);
+      return null;
+    });
+    variables = mergeVariables(variables, variablesFromProfile(profile));
+  }
+  
+  return renderTemplate(template, variables, { ...options, seed: getIdempotencyKey(action) || action.id });
+}
+
 async function handleViewProfile(page, action) {
   const profileUrl = action.payload?.linkedin_url || action.lead?.linkedin_url;
   if (!profileUrl) throw new Error('No profile URL provided');
   
   await page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
   await humanDelay(3000, 6000);
-  await scrollHuman(page, 'down');
   
-  return { success: true, message: 'Profile viewed' };
+  // Scroll through the page so lazy-loaded sections (about, experience, education) render
+  for (let i = 0; i < 4; i++) {
+    await scrollHuman(page, 'down');
+  }
+  
+  const profile = await scrapeProfile(page);
+  logger.info(`[PROFILE] Scraped ${profile.name || 'unknown'}: ${profile.experience.length} experience, ${profile.education.length} education entries`);
+  
+  return {
+    success: true,
+    message: 'Profile viewed',
+    profileUrl: page.url(),
+    leadId: action.lead?.id || null,
+    profile
+  };
+}
+
+// ============================================
+// Connection Requests
+// ============================================
+
+// Scope for the profile's own top card (avoids "Connect" buttons in sidebars and in sections
+// nested further down the page)
+const PROFILE_ACTIONS_SCOPE = ':is(main section.pv-top-card, main > section:first-of-type)';
+
+const CONNECT_BUTTON_SELECTORS = [
+  `${PROFILE_ACTIONS_SCOPE} button[aria-label*="to connect" i]`,
+  `${PROFILE_ACTIONS_SCOPE} button:has-text("Connect")`
+];
+
+const PENDING_BUTTON_SELECTORS = [
+  `${PROFILE_ACTIONS_SCOPE} button[aria-label*="Pending" i]`,
+  `${PROFILE_ACTIONS_SCOPE} button:has-text("Pending")`
+];
+
+const MORE_BUTTON_SELECTORS = [
+  `${PROFILE_ACTIONS_SCOPE} button[aria-label="More actions"]`,
+  `${PROFILE_ACTIONS_SCOPE} button:has-text("More")`
+];
+
+const MORE_MENU_ITEM = '.artdeco-dropdown__content [role="button"], .artdeco-dropdown__content [role="menuitem"]';
+
+const WEEKLY_LIMIT_INDICATORS = [
+  'weekly invitation limit',
+  'reached the weekly limit',
+  'you\'ve reached the limit for invitations'
+];
+
+// Returns the first visible selector from a list, or null
+async function findVisibleSelector(page, selectors, timeout = 1000) {
+  for (const selector of selectors) {
+    if (await page.locator(selector).first().isVisible({ timeout }).catch(() => false)) {
+      return selector;
+    }
+  }
+  return null;
+}
+
+// Connection degree from the top card's degree badge: '1st', '2nd', '3rd' or null.
+// Only the badge - headlines like "1st Lieutenant" must not read as a connection.
+async function detectConnectionDegree(page) {
+  const badgeText = await page.locator(`${PROFILE_ACTIONS_SCOPE} :is(.dist-value, .distance-badge)`)
+    .first()
+    .textContent({ timeout: 2000 })
+    .catch(() => '');
+  
+  const match = badgeText.match(/\b(1st|2nd|3rd)\b/);
+  
+  return match ? match[1] : null;
+}
+
+async function detectWeeklyLimit(page) {
+  const pageText = (await page.textContent('body').catch(() => '')).toLowerCase();
+  return WEEKLY_LIMIT_INDICATORS.some(indicator => pageText.includes(indicator));
+}
+
+async function dismissDialog(page) {
+  const dismissBtn = page.locator('div[role="dialog"] button[aria-label="Dismiss"]').first();
+  if (await dismissBtn.isVisible({ timeout: 1000 }).catch(() => false)) {
+    await dismissBtn.click();
+    await humanDelay(500, 1000);
+  }
+}
+
+// Open the "More" menu and classify what it offers
+async function inspectMoreMenu(page) {
+  const moreSelector = await findVisibleSelector(page, MORE_BUTTON_SELECTORS);
+  if (!moreSelector) return { opened: false };
+  
+  await clickHuman(page, moreSelector);
+  await humanDelay(800, 1500);
+  
+  const items = page.locator(MORE_MENU_ITEM);
+  const count = await items.count();
+  
+  for (let i = 0; i < count; i++) {
+    const item = items.nth(i);
+    if (!await item.isVisible().catch(() => false)) continue;
+    
+    const label = `${await item.getAttribute('aria-label').catch(() => '') || ''} ${await item.textContent().catch(() => '') || ''}`.toLowerCase();
+    
+    if (label.includes('to connect') || /\bconnect\b/.test(label)) {
+      return { opened: true, connectItem: item };
+    }
+    if (label.includes('remove connection')) {
+      return { opened: true, alreadyConnected: true };
+    }
+    if (label.includes('pending') || label.includes('withdraw')) {
+      return { opened: true, pending: true };
+    }
+  }
+  
+  return { opened: true };
+}
+
+function connectionOutcome(outcome, connectionDegree, message, extra = {}) {
+  return {
+    success: outcome === 'sent' || outcome === 'dry_run',
+    outcome,
+    connectionDegree,
+    message,
+    ...extra
+  };
 }
 
+// Outcomes: sent, already_connected, pending, requires_email, follow_only, weekly_limit_reached,
+// dry_run (everything but the final Send)
 async function handleSendConnection(page, action) {
   const profileUrl = action.payload?.linkedin_url || action.lead?.linkedin_url;
   if (!profileUrl) throw new Error('No profile URL provided');
@@ -1240,123 +1744,932 @@ async function handleSendConnection(page, action) {
   await page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
   await humanDelay(2000, 4000);
   
-  // Find and click connect button
-  const connectBtn = page.locator('button:has-text("Connect")').first();
-  if (await connectBtn.isVisible()) {
-    await clickHuman(page, 'button:has-text("Connect")');
-    await humanDelay(1000, 2000);
+  // Render the note up front so a bad template fails before anything is clicked
+  const note = await renderActionMessage(page, action, {
+    maxLength: CONNECTION_NOTE_LIMIT,
+    label: 'Connection note'
+  });
+  
+  const connectionDegree = await detectConnectionDegree(page);
+  logger.info(`[CONNECT] Connection degree: ${connectionDegree || 'unknown'}`);
+  
+  if (connectionDegree === '1st') {
+    return connectionOutcome('already_connected', connectionDegree, 'Already connected');
+  }
+  
+  // A pending invite is also how an earlier attempt whose report got lost shows up
+  if (await findVisibleSelector(page, PENDING_BUTTON_SELECTORS)) {
+    return connectionOutcome('pending', connectionDegree, 'Invitation already pending', { alreadySent: true });
+  }
+  
+  // Step 1: Find Connect - top-level button first, then under the "More" menu
+  const connectSelector = await findVisibleSelector(page, CONNECT_BUTTON_SELECTORS);
+  
+  if (connectSelector) {
+    await clickHuman(page, connectSelector);
+  } else {
+    const menu = await inspectMoreMenu(page);
     
-    // Handle optional note
-    if (action.payload?.message) {
-      const addNoteBtn = page.locator('button:has-text("Add a note")');
-      if (await addNoteBtn.isVisible()) {
-        await addNoteBtn.click();
-        await humanDelay(500, 1000);
-        await typeHuman(page, 'textarea[name="message"]', action.payload.message);
+    if (menu.alreadyConnected) {
+      await page.keyboard.press('Escape');
+      return connectionOutcome('already_connected', connectionDegree || '1st', 'Already connected');
+    }
+    if (menu.pending) {
+      await page.keyboard.press('Escape');
+      return connectionOutcome('pending', connectionDegree, 'Invitation already pending', { alreadySent: true });
+    }
+    if (!menu.connectItem) {
+      if (menu.opened) await page.keyboard.press('Escape');
+      
+      // Creator profiles with Connect disabled only offer Follow
+      const followSelector = await findVisibleSelector(page, [
+        `${PROFILE_ACTIONS_SCOPE} button[aria-label*="Follow" i]`,
+        `${PROFILE_ACTIONS_SCOPE} button:has-text("Follow")`
+      ]);
+      if (followSelector) {
+        return connectionOutcome('follow_only', connectionDegree, 'Profile only allows following');
       }
+      
+      return connectionOutcome('connect_not_found', connectionDegree, 'Connect button not found');
     }
     
-    // Send the request
-    const sendBtn = page.locator('button:has-text("Send")').first();
-    if (await sendBtn.isVisible()) {
-      await clickHuman(page, 'button:has-text("Send")');
+    logger.info('[CONNECT] Using Connect from the "More" menu');
+    await menu.connectItem.click();
+  }
+  
+  await humanDelay(1000, 2000);
+  
+  // Step 2: Inspect the invite dialog
+  if (await detectWeeklyLimit(page)) {
+    await dismissDialog(page);
+    return connectionOutcome('weekly_limit_reached', connectionDegree, 'Weekly invitation limit reached');
+  }
+  
+  const emailInput = page.locator('div[role="dialog"] input[type="email"], div[role="dialog"] input[name="email"]').first();
+  if (await emailInput.isVisible({ timeout: 1000 }).catch(() => false)) {
+    const leadEmail = action.payload?.lead_email || action.lead?.email;
+    if (!leadEmail) {
+      await dismissDialog(page);
+      return connectionOutcome('requires_email', connectionDegree, 'LinkedIn requires the lead\'s email address to connect');
     }
     
-    return { success: true, message: 'Connection request sent' };
+    logger.info('[CONNECT] Email required, filling lead email');
+    await typeHuman(page, 'div[role="dialog"] input[type="email"], div[role="dialog"] input[name="email"]', leadEmail);
+    await humanDelay(500, 1000);
+  }
+  
+  // Step 3: Handle optional note
+  let noteIncluded = false;
+  if (note) {
+    const addNoteBtn = page.locator('div[role="dialog"] button:has-text("Add a note")').first();
+    if (await addNoteBtn.isVisible({ timeout: 1000 }).catch(() => false)) {
+      await addNoteBtn.click();
+      await humanDelay(500, 1000);
+      await typeHuman(page, 'textarea[name="message"]', note);
+      noteIncluded = true;
+    }
   }
   
-  return { success: false, message: 'Connect button not found' };
+  // Step 4: Send the request
+  const sendSelector = await findVisibleSelector(page, [
+    'div[role="dialog"] button[aria-label="Send invitation"]',
+    'div[role="dialog"] button[aria-label="Send now"]',
+    'div[role="dialog"] button[aria-label="Send without a note"]',
+    'div[role="dialog"] button:has-text("Send")'
+  ]);
+  if (!sendSelector) {
+    await dismissDialog(page);
+    return connectionOutcome('connect_not_found', connectionDegree, 'Send invitation button not found');
+  }
+  
+  if (action.payload?.dryRun) {
+    await captureArtifacts(page, action, 'dry_run');
+    await dismissDialog(page);
+    logger.info(`[DRY RUN] Connection request to ${profileUrl} ready, not sent`);
+    return connectionOutcome('dry_run', connectionDegree, 'Dry run: connection request ready, not sent', {
+      wouldOutcome: 'sent',
+      noteIncluded,
+      note: noteIncluded ? note : null
+    });
+  }
+  
+  await clickHuman(page, sendSelector);
+  await humanDelay(1500, 2500);
+  
+  // LinkedIn sometimes only reveals the limit after Send
+  if (await detectWeeklyLimit(page)) {
+    await dismissDialog(page);
+    return connectionOutcome('weekly_limit_reached', connectionDegree, 'Weekly invitation limit reached');
+  }
+  
+  return connectionOutcome('sent', connectionDegree, 'Connection request sent', {
+    noteIncluded,
+    note: noteIncluded ? note : null
+  });
+}
+
+// ============================================
+// Messaging
+// ============================================
+
+// LinkedIn collapses whitespace and may swap quote styles when rendering a sent message
+function normalizeMessageText(text) {
+  return String(text || '').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ').trim();
+}
+
+// LinkedIn docks several conversation bubbles side by side; the lead's is the one whose header
+// links to their profile
+function conversationBubbleFor(page, profileUrl) {
+  const slug = profileUrl.match(/\/in\/([^/?#]+)/)?.[1] || profileUrl;
+  return page.locator('.msg-overlay-conversation-bubble')
+    .filter({ has: page.locator(`.msg-overlay-bubble-header a[href*="/in/${slug.replace(/["\\]/g, '\\$&')}" i]`) })
+    .first();
 }
 
 async function handleSendMessage(page, action) {
   const profileUrl = action.payload?.linkedin_url || action.lead?.linkedin_url;
-  const message = action.payload?.message;
   
   if (!profileUrl) throw new Error('No profile URL provided');
-  if (!message) throw new Error('No message provided');
+  if (!action.payload?.message) throw new Error('No message provided');
   
   await page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
   await humanDelay(2000, 4000);
   
+  const message = await renderActionMessage(page, action, { maxLength: MESSAGE_LIMIT });
+  
   // Click message button
   const messageBtn = page.locator('button:has-text("Message")').first();
   if (await messageBtn.isVisible()) {
     await clickHuman(page, 'button:has-text("Message")');
     await humanDelay(1000, 2000);
     
+    // Read and type only in this lead's conversation, never in another docked one
+    const bubble = conversationBubbleFor(page, profileUrl);
+    if (!await bubble.waitFor({ state: 'visible', timeout: 10000 }).then(() => true, () => false)) {
+      return { success: false, message: `Conversation with ${profileUrl} did not open` };
+    }
+    
+    // An earlier attempt may have sent this already (its report got lost) - never send it twice
+    const { messages } = await readOpenThread(bubble);
+    const lastMessage = messages.at(-1);
+    if (lastMessage?.fromSelf && normalizeMessageText(lastMessage.body) === normalizeMessageText(message)) {
+      logger.warn(`[MESSAGE] Same message is already the last one in the thread with ${profileUrl}, not sending again`);
+      return { success: true, message: 'Message already sent', alreadySent: true, sentText: message };
+    }
+    
     // Type message
-    await typeHuman(page, '.msg-form__contenteditable', message);
+    await typeHuman(bubble, '.msg-form__contenteditable', message);
     await humanDelay(500, 1000);
     
     // Send
-    const sendBtn = page.locator('.msg-form__send-button').first();
+    const sendBtn = bubble.locator('.msg-form__send-button').first();
     if (await sendBtn.isVisible()) {
+      if (action.payload?.dryRun) {
+        await captureArtifacts(page, action, 'dry_run');
+        // LinkedIn keeps unsent text as a draft; don't leave the rehearsal behind
+        await bubble.locator('.msg-form__contenteditable').first().fill('');
+        logger.info(`[DRY RUN] Message to ${profileUrl} composed, not sent`);
+        return { success: true, message: 'Dry run: message composed, not sent', composedText: message };
+      }
+      
       await sendBtn.click();
-      return { success: true, message: 'Message sent' };
+      return { success: true, message: 'Message sent', sentText: message };
     }
   }
   
   return { success: false, message: 'Message button not found' };
 }
 
+// ============================================
+// Inbox Sync
+// ============================================
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// LinkedIn only renders relative labels ("Today", "Mon", "Oct 12", "Oct 12, 2024" plus "2:15 PM").
+// tzOffsetMinutes is the browser's Date#getTimezoneOffset() so labels are read in its wall-clock time.
+function parseLinkedInTimestamp(dayLabel, timeLabel, tzOffsetMinutes = 0, now = Date.now()) {
+  const wallNow = new Date(now - tzOffsetMinutes * 60000);
+  let year = wallNow.getUTCFullYear();
+  let month = wallNow.getUTCMonth();
+  let day = wallNow.getUTCDate();
+  
+  const label = (dayLabel || '').trim().toLowerCase();
+  const dateMatch = label.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,\s*(\d{4}))?$/);
+  const weekdayIndex = WEEKDAY_NAMES.indexOf(label.substring(0, 3));
+  
+  if (!label || label === 'today') {
+    // Keep today's date
+  } else if (label === 'yesterday') {
+    day -= 1;
+  } else if (dateMatch && MONTH_NAMES.includes(dateMatch[1])) {
+    month = MONTH_NAMES.indexOf(dateMatch[1]);
+    day = parseInt(dateMatch[2]);
+    if (dateMatch[3]) {
+      year = parseInt(dateMatch[3]);
+    } else if (Date.UTC(year, month, day) > wallNow.getTime()) {
+      // "Dec 30" seen in January belongs to last year
+      year -= 1;
+    }
+  } else if (weekdayIndex !== -1) {
+    day -= ((wallNow.getUTCDay() - weekdayIndex + 7) % 7) || 7;
+  } else {
+    return null;
+  }
+  
+  let hours = 0;
+  let minutes = 0;
+  const timeMatch = (timeLabel || '').trim().toLowerCase().match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/);
+  if (timeMatch) {
+    hours = parseInt(timeMatch[1]) % (timeMatch[3] ? 12 : 24);
+    minutes = parseInt(timeMatch[2]);
+    if (timeMatch[3] === 'pm') hours += 12;
+  }
+  
+  return new Date(Date.UTC(year, month, day, hours, minutes) + tzOffsetMinutes * 60000);
+}
+
+function toAbsoluteLinkedInUrl(href) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, 'https://www.linkedin.com');
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+// Read the conversation list as rendered (newest first)
+async function readConversationList(page) {
+  return page.evaluate(() => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    
+    return Array.from(document.querySelectorAll('li.msg-conversation-listitem')).map(item => ({
+      threadHref: item.querySelector('a.msg-conversation-listitem__link, a[href*="/messaging/thread/"]')?.getAttribute('href') || null,
+      participantNames: clean(item.querySelector('.msg-conversation-listitem__participant-names, .msg-conversation-card__participant-names')?.textContent),
+      timeLabel: clean(item.querySelector('time.msg-conversation-listitem__time-stamp, time')?.textContent),
+      snippet: clean(item.querySelector('.msg-conversation-card__message-snippet, .msg-conversation-card__message-snippet-body')?.textContent),
+      unread: !!item.querySelector('.msg-conversation-card__convo-item--unread, .msg-conversation-card__unread-count, .notification-badge--show')
+    }));
+  });
+}
+
+// Read every message event of one conversation (a docked bubble or the inbox thread pane)
+// in display order
+async function readOpenThread(conversation) {
+  return conversation.evaluate(root => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const messages = [];
+    
+    let dayLabel = '';
+    let timeLabel = '';
+    let senderName = '';
+    let senderHref = null;
+    
+    for (const event of root.querySelectorAll('li.msg-s-message-list__event')) {
+      const heading = event.querySelector('time.msg-s-message-list__time-heading');
+      if (heading) dayLabel = clean(heading.textContent);
+      
+      // Consecutive messages from one sender share a group header
+      const groupName = event.querySelector('.msg-s-message-group__name');
+      if (groupName) {
+        senderName = clean(groupName.textContent);
+        senderHref = event.querySelector('a.msg-s-message-group__profile-link')?.getAttribute('href') || null;
+      }
+      const groupTime = event.querySelector('time.msg-s-message-group__timestamp');
+      if (groupTime) timeLabel = clean(groupTime.textContent);
+      
+      for (const item of event.querySelectorAll('.msg-s-event-listitem')) {
+        const body = item.querySelector('.msg-s-event-listitem__body');
+        if (!body) continue;
+        
+        messages.push({
+          dayLabel,
+          timeLabel,
+          senderName,
+          senderHref,
+          fromSelf: !item.classList.contains('msg-s-event-listitem--other'),
+          body: body.innerText.trim()
+        });
+      }
+    }
+    
+    const headerLink = root.querySelector('a.msg-thread__link-to-profile, .msg-entity-lockup__entity-title a');
+    
+    return {
+      headerName: clean(root.querySelector('.msg-entity-lockup__entity-title, #thread-detail-jump-target')?.textContent),
+      headerHref: headerLink?.getAttribute('href') || null,
+      messages
+    };
+  });
+}
+
+// Stable id for a message across syncs: thread, sender, minute and text, plus a counter for
+// identical messages in the same minute
+function messageFingerprint(conversationId, message, sentAt, seen) {
+  const base = [conversationId || '', message.fromSelf ? 'self' : (message.senderHref || message.senderName || ''), sentAt || '', message.body].join('\n');
+  const occurrence = seen.get(base) || 0;
+  seen.set(base, occurrence + 1);
+  return createHash('sha256').update(`${base}\n${occurrence}`).digest('hex').slice(0, 32);
+}
+
+const INBOX_EMPTY_STATE = '.msg-conversations-container__empty-state, .msg-conversations-container .artdeco-empty-state';
+
+// Opening a thread is the only way to read it, and LinkedIn marks it read when it opens.
+// Conversations that were unread before the sync carry markedRead: true so the backend can
+// surface them as new (the unread flag itself is captured from the list before opening).
+async function handleSyncInbox(page, action) {
+  const payload = action.payload || {};
+  const since = payload.cursor || payload.since || null;
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  const maxConversations = payload.maxConversations || 20;
+  
+  if (since && Number.isNaN(sinceTime)) {
+    throw new Error(`Invalid inbox cursor: ${since}`);
+  }
+  
+  logger.info(`[INBOX] Syncing inbox since ${since || 'the beginning'} (max ${maxConversations} conversations)`);
+  
+  await page.goto('https://www.linkedin.com/messaging/', { waitUntil: 'domcontentloaded' });
+  // A new account's inbox has no conversations at all, only the empty state
+  await page.locator(`li.msg-conversation-listitem, ${INBOX_EMPTY_STATE}`).first().waitFor({ timeout: 30000 });
+  await humanDelay(2000, 3500);
+  
+  if (await page.locator('li.msg-conversation-listitem').count() === 0) {
+    logger.info('[INBOX] Inbox is empty');
+    return { success: true, message: 'Inbox is empty', cursor: since, nextCursor: since, conversations: [] };
+  }
+  
+  const tzOffset = await page.evaluate(() => new Date().getTimezoneOffset());
+  
+  // Scroll the list until it holds enough conversations or stops growing
+  let listItems = await readConversationList(page);
+  while (listItems.length < maxConversations) {
+    await page.locator('.msg-conversations-container__conversations-list').first()
+      .evaluate(list => { list.scrollTop = list.scrollHeight; })
+      .catch(() => {});
+    await humanDelay(1500, 2500);
+    
+    const more = await readConversationList(page);
+    if (more.length <= listItems.length) break;
+    listItems = more;
+  }
+  
+  const conversations = [];
+  let nextCursorTime = sinceTime;
+  // Opened threads render here; docked bubbles elsewhere on the page belong to other conversations
+  const threadPane = page.locator('main .msg-thread').first();
+  
+  for (let index = 0; index < Math.min(listItems.length, maxConversations); index++) {
+    const item = listItems[index];
+    
+    // List labels are either a time (today) or a day; the latter covers the whole day
+    const isTimeOnly = item.timeLabel.includes(':');
+    const listTimestamp = parseLinkedInTimestamp(isTimeOnly ? '' : item.timeLabel, isTimeOnly ? item.timeLabel : '', tzOffset);
+    const listUpperBound = listTimestamp ? listTimestamp.getTime() + (isTimeOnly ? 60000 : DAY_MS) : null;
+    
+    // The list is newest first, so everything from here on is older than the cursor
+    if (sinceTime && listUpperBound !== null && listUpperBound <= sinceTime) {
+      break;
+    }
+    
+    // Opening a thread marks it read on LinkedIn - capture the flag first
+    const unread = item.unread;
+    if (unread) {
+      logger.info(`[INBOX] Opening unread conversation ${index + 1}, LinkedIn will mark it read`);
+    }
+    
+    await page.locator('li.msg-conversation-listitem').nth(index).locator('a, .msg-conversation-listitem__link').first().click();
+    await threadPane.locator('li.msg-s-message-list__event').first().waitFor({ timeout: 15000 }).catch(() => {});
+    await humanDelay(1500, 3000);
+    
+    const thread = await readOpenThread(threadPane);
+    const conversationId = page.url().match(/\/messaging\/thread\/([^/?]+)/)?.[1] || null;
+    
+    const seen = new Map();
+    const messages = thread.messages.map(message => {
+      const sentAt = parseLinkedInTimestamp(message.dayLabel, message.timeLabel, tzOffset);
+      const sentAtIso = sentAt ? sentAt.toISOString() : null;
+      return {
+        sender: {
+          name: message.senderName || null,
+          profileUrl: toAbsoluteLinkedInUrl(message.senderHref)
+        },
+        fromSelf: message.fromSelf,
+        sentAt: sentAtIso,
+        body: message.body,
+        fingerprint: messageFingerprint(conversationId, message, sentAtIso, seen)
+      };
+    });
+    
+    // Participants are everyone except us, starting with the thread header
+    const participants = [];
+    const addParticipant = (name, href) => {
+      const profileUrl = toAbsoluteLinkedInUrl(href);
+      if (!name && !profileUrl) return;
+      if (participants.some(p => (profileUrl && p.profileUrl === profileUrl) || (!profileUrl && p.name === name))) return;
+      participants.push({ name: name || null, profileUrl });
+    };
+    addParticipant(thread.headerName || item.participantNames, thread.headerHref);
+    for (const message of thread.messages) {
+      if (!message.fromSelf) addParticipant(message.senderName, message.senderHref);
+    }
+    
+    const lastMessage = messages[messages.length - 1] || null;
+    // Inclusive: labels only have minute precision, so a reply later in the cursor's minute must
+    // still come through. The backend dedupes the re-sent messages by fingerprint.
+    const newMessages = messages.filter(message => !sinceTime || !message.sentAt || new Date(message.sentAt).getTime() >= sinceTime);
+    
+    for (const message of newMessages) {
+      if (message.sentAt) nextCursorTime = Math.max(nextCursorTime, new Date(message.sentAt).getTime());
+    }
+    
+    conversations.push({
+      conversationId,
+      threadUrl: conversationId ? `https://www.linkedin.com/messaging/thread/${conversationId}/` : null,
+      participants,
+      unread,
+      markedRead: unread,
+      lastMessageAt: lastMessage?.sentAt || (listTimestamp ? listTimestamp.toISOString() : null),
+      lastMessageFromSelf: lastMessage ? lastMessage.fromSelf : null,
+      snippet: item.snippet || null,
+      messages: newMessages
+    });
+  }
+  
+  logger.info(`[INBOX] Synced ${conversations.length} conversations`);
+  
+  return {
+    success: true,
+    message: `Synced ${conversations.length} conversations`,
+    cursor: since,
+    nextCursor: nextCursorTime ? new Date(nextCursorTime).toISOString() : since,
+    conversations
+  };
+}
+
+// ============================================
+// Action Registry
+// ============================================
+
+const linkedinUrlField = {
+  type: 'string',
+  required: true,
+  sources: ['payload.linkedin_url', 'lead.linkedin_url'],
+  format: formats.linkedinProfileUrl
+};
+
+// Notes with variables or spintax are length-checked after rendering instead
+// Plain text is checked against LinkedIn's limit up front. Templates are checked once rendered
+// (renderTemplate's maxLength): spintax and variables make the raw length meaningless.
+const outreachTextField = (limit, what, spec = {}) => ({
+  type: 'string',
+  ...spec,
+  validate: text => (!text.includes('{') && text.length > limit)
+    ? `is ${text.length} characters, LinkedIn allows ${limit} in a ${what}`
+    : null
+});
+
+const connectionNoteField = outreachTextField(CONNECTION_NOTE_LIMIT, 'connection note');
+
+const dryRunField = { type: 'boolean' };
+
+// Actions sharing a key are sent at most once by this worker (see lib/action-journal.js)
+const idempotencyKeyField = { type: 'string', sources: ['payload.idempotencyKey', 'idempotency_key'] };
+
+// Credentials are only optional when a cookie login was requested
+const requiresCredentials = action => !(action.payload?.useCookies && (action.payload?.liAtCookie || action.payload?.storageState));
+
+registerAction('linkedin_login', {
+  aliases: ['login'], // Handle both for backwards compatibility
+  handler: ({ page, context, action, agentId }) => handleLinkedInLogin(page, context, action, agentId),
+  requiresLogin: false,
+  // CAPTCHA and 2FA waits can each take 5 minutes
+  timeout: 15 * 60 * 1000,
+  schema: {
+    email: {
+      type: 'string',
+      required: requiresCredentials,
+      sources: ['payload.email', 'payload.linkedinEmail'],
+      format: formats.loginIdentifier
+    },
+    password: { type: 'string', required: requiresCredentials, sources: ['payload.password', 'payload.linkedinPassword'] },
+    useCookies: { type: 'boolean' },
+    liAtCookie: {
+      type: 'string',
+      required: action => !!action.payload?.useCookies && !action.payload?.storageState && !action.payload?.email && !action.payload?.linkedinEmail,
+      format: formats.liAtCookie
+    },
+    liACookie: { type: 'string', format: formats.liACookie },
+    // Full cookie jar + localStorage from a previous login; preferred over liAtCookie/liACookie
+    storageState: { format: formats.storageState }
+  }
+});
+
+registerAction('view_profile', {
+  handler: ({ page, action }) => handleViewProfile(page, action),
+  timeout: 3 * 60 * 1000,
+  schema: {
+    linkedin_url: linkedinUrlField
+  }
+});
+
+registerAction('send_connection', {
+  handler: ({ page, action }) => handleSendConnection(page, action),
+  timeout: 3 * 60 * 1000,
+  supportsDryRun: true,
+  sendsOutreach: true,
+  schema: {
+    linkedin_url: linkedinUrlField,
+    message: connectionNoteField,
+    lead_email: { type: 'string', sources: ['payload.lead_email', 'lead.email'] },
+    dryRun: dryRunField,
+    idempotencyKey: idempotencyKeyField
+  }
+});
+
+registerAction('send_message', {
+  handler: ({ page, action }) => handleSendMessage(page, action),
+  timeout: 3 * 60 * 1000,
+  supportsDryRun: true,
+  sendsOutreach: true,
+  schema: {
+    linkedin_url: linkedinUrlField,
+    message: outreachTextField(MESSAGE_LIMIT, 'message', { required: true }),
+    dryRun: dryRunField,
+    idempotencyKey: idempotencyKeyField
+  }
+});
+
+registerAction('sync_inbox', {
+  handler: ({ page, action }) => handleSyncInbox(page, action),
+  timeout: 10 * 60 * 1000,
+  schema: {
+    cursor: { type: 'string', sources: ['payload.cursor', 'payload.since'], format: formats.isoTimestamp },
+    maxConversations: { type: 'number', min: 1, max: 200 }
+  }
+});
+
+// ============================================
+// Worker Pool
+// ============================================
+
+// Actions that failed on this worker and may come back: actionId -> { attempt, at }
+const attemptCounts = new Map();
+
+function getAttempt(action) {
+  // Prefer the backend's counter, fall back to what this worker has seen
+  const previous = Math.max(action.attempts || 0, attemptCounts.get(action.id)?.attempt || 0);
+  return previous + 1;
+}
+
+function rememberAttempt(actionId, attempt) {
+  attemptCounts.set(actionId, { attempt, at: Date.now() });
+  
+  // Forget actions that were requeued to other workers
+  for (const [id, entry] of attemptCounts) {
+    if (Date.now() - entry.at > 24 * 60 * 60 * 1000) attemptCounts.delete(id);
+  }
+}
+
+// Exponential backoff with jitter: 1m, 2m, 4m ... capped at RETRY_MAX_DELAY
+function getRetryDelay(attempt, minimumDelay = null) {
+  const exponential = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt - 1), RETRY_MAX_DELAY);
+  const jittered = exponential * (0.8 + Math.random() * 0.4);
+  return Math.max(jittered, minimumDelay || 0);
+}
+
+// Classify a failure and tell the backend whether and when to retry it
+async function reportFailure(action, error, attempt) {
+  // The action belongs to another worker now; anything we report would clobber its result
+  if (error instanceof LeaseLostError) {
+    logger.warn(`Action ${action.id} abandoned: ${error.message}`);
+    return 'abandoned';
+  }
+  
+  // Already handed back or taken over; the failure is just the browser being torn down
+  if (abandonedActionIds.has(action.id)) {
+    logger.info(`Action ${action.id} was abandoned, not reporting: ${error.message}`);
+    return 'abandoned';
+  }
+  
+  const { category, code } = classifyError(error, {
+    retryUnknown: !getActionDefinition(action.action_type)?.sendsOutreach
+  });
+  const retryable = category === ErrorCategory.RETRYABLE && attempt < MAX_ACTION_ATTEMPTS;
+  const retryAfter = retryable
+    ? new Date(Date.now() + getRetryDelay(attempt, error.retryAfterMs)).toISOString()
+    : null;
+  
+  logger.error(`Action ${action.id} failed (${category}${code ? `/${code}` : ''}, attempt ${attempt}/${MAX_ACTION_ATTEMPTS}):`, error.message);
+  if (retryable) {
+    logger.info(`Action ${action.id} can be retried after ${retryAfter}`);
+    rememberAttempt(action.id, attempt);
+  } else {
+    attemptCounts.delete(action.id);
+  }
+  
+  // Expired sessions get their own status so the backend can wait for re-auth
+  const status = error instanceof SessionExpiredError ? 'session_expired' : 'failed';
+  
+  const artifacts = takeActionArtifacts(action.id);
+  
+  await reportResult(action.id, status, {
+    errorCategory: category,
+    errorCode: code,
+    ...(error.fields ? { validationErrors: error.fields } : {}),
+    ...(artifacts.length > 0 ? { artifacts } : {})
+  }, error.message, {
+    errorCategory: category,
+    retryable,
+    attempt,
+    maxAttempts: MAX_ACTION_ATTEMPTS,
+    retryAfter
+  });
+  actionsFailed++;
+  
+  return status;
+}
+
+// Process a single action end-to-end and report its outcome
+async function executeAction(action) {
+  const attempt = getAttempt(action);
+  const stopTimer = metrics.actionDuration.startTimer({ action_type: action.action_type });
+  let outcome = 'failed';
+  
+  try {
+    // Reject unknown types and unusable payloads before a browser is started
+    const definition = getActionDefinition(action.action_type);
+    if (!definition) {
+      throw new NonRetryableError(`Unknown action type: ${action.action_type}`, { code: 'unknown_action_type' });
+    }
+    
+    // Encrypted credential and cookie fields only exist in plaintext in memory from here on
+    action.payload = decryptEnvelopes(action.payload);
+    if (action.agent?.session_cookies) {
+      action.agent.session_cookies = decryptEnvelopes(action.agent.session_cookies);
+    }
+    if (action.agent?.storage_state) {
+      action.agent.storage_state = decryptEnvelopes(action.agent.storage_state);
+    }
+    if (action.session_cookies) {
+      action.session_cookies = decryptEnvelopes(action.session_cookies);
+    }
+    if (action.storage_state) {
+      action.storage_state = decryptEnvelopes(action.storage_state);
+    }
+    
+    const payloadErrors = validatePayload(definition, action);
+    if (payloadErrors.length > 0) {
+      throw new ValidationError(payloadErrors);
+    }
+    
+    // Already done by this worker - our report was lost, or this is a duplicate with the same idempotency key
+    const previous = findCompletedAction(action);
+    if (previous) {
+      const duplicate = previous.actionId !== action.id;
+      logger.warn(`[JOURNAL] Action ${action.id} already completed${duplicate ? ` as ${previous.actionId} (idempotency key ${getIdempotencyKey(action)})` : ''}, reporting the earlier result`);
+      
+      await reportCompleted(action, duplicate ? { ...previous.report.result, duplicateOf: previous.actionId } : previous.report.result, { attempt });
+      attemptCounts.delete(action.id);
+      outcome = 'duplicate';
+      return;
+    }
+    
+    // A dry-run worker rehearses every action that would send something
+    if (DRY_RUN && definition.supportsDryRun) {
+      action.payload = { ...action.payload, dryRun: true };
+    }
+    
+    // Defer (don't fail) actions that would exceed the agent's quota or fall outside its send window
+    const quota = checkQuota(action);
+    if (!quota.allowed) {
+      logger.info(`[QUOTA] Deferring action ${action.id} for agent ${action.agent_id}: ${quota.reason} (until ${quota.deferUntil})`);
+      
+      await reportResult(action.id, 'deferred', {
+        ...quota,
+        usage: getAgentUsage(action.agent_id)
+      }, `Deferred: ${quota.reason}`, {
+        deferUntil: quota.deferUntil
+      });
+      actionsDeferred++;
+      outcome = 'deferred';
+      return;
+    }
+    
+    // Process the action while holding its lease
+    await confirmLease(action);
+    const lease = startLease(action);
+    const processing = processAction(action);
+    let result;
+    try {
+      result = await Promise.race([processing, lease.lost]);
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        // Tear the browser down so the abandoned handler stops touching the page,
+        // and keep the agent busy until it has actually stopped
+        const sessionKey = getSessionKey(action);
+        if (sessionKey) await sessionCache.evict(sessionKey);
+        await processing.catch(() => {});
+      }
+      throw error;
+    } finally {
+      lease.stop();
+    }
+    
+    // Every outcome of a rehearsal is flagged, so the backend never mistakes it for real outreach
+    if (definition.supportsDryRun && action.payload?.dryRun) {
+      result = { ...result, dryRun: true };
+    }
+    
+    // Only count actions that actually went out against the quota
+    if (result?.success !== false && !result?.dryRun) {
+      recordAction(action);
+    }
+    
+    // Report success (with anything captured along the way, e.g. a CAPTCHA the user solved)
+    const artifacts = takeActionArtifacts(action.id);
+    await reportCompleted(action, artifacts.length > 0 ? { ...result, artifacts } : result, { attempt });
+    attemptCounts.delete(action.id);
+    actionsProcessed++;
+    outcome = 'completed';
+    
+    logger.info(`Action ${action.id} completed successfully`);
+    
+  } catch (error) {
+    outcome = await reportFailure(action, error, attempt);
+    
+    // Update agent state if it was a login action (unless it was handed back or taken over -
+    // the next worker runs the login again)
+    if ((action.action_type === 'linkedin_login' || action.action_type === 'login') && outcome !== 'abandoned') {
+      await updateAgentState(action.agent_id, 'failed', {
+        status: 'needs_reauth',
+        loginError: error.message
+      });
+    }
+    
+  } finally {
+    actionArtifacts.delete(action.id);
+    // Shutdown hands back only the actions that didn't get to report
+    const entry = inFlight.get(action.id);
+    if (entry) entry.outcome = outcome;
+    stopTimer({ outcome });
+    metrics.actions.inc({ action_type: action.action_type, outcome });
+  }
+}
+
+// An action must wait while its agent or browser profile is already in use by another slot
+function isActionBlocked(action) {
+  const profileId = getSessionKey(action);
+  return busyAgents.has(action.agent_id) || (profileId && busyProfiles.has(profileId));
+}
+
+function getBusySlots() {
+  return slots.filter(slot => slot.status === 'busy');
+}
+
+function runInSlot(slot, action) {
+  const profileId = getSessionKey(action);
+  
+  Object.assign(slot, {
+    status: 'busy',
+    actionId: action.id,
+    actionType: action.action_type,
+    agentId: action.agent_id,
+    profileId,
+    startedAt: new Date().toISOString()
+  });
+  busyAgents.add(action.agent_id);
+  if (profileId) busyProfiles.add(profileId);
+  
+  logger.info(`[POOL] Slot ${slot.slot} started action ${action.id} for agent ${action.agent_id}`);
+  sendHeartbeat('busy', action.id, action.agent_id);
+  
+  const promise = runWithLogContext({
+    actionId: action.id,
+    agentId: action.agent_id,
+    actionType: action.action_type
+  }, () => executeAction(action))
+    .catch(error => logger.error(`[POOL] Slot ${slot.slot} error:`, error.message))
+    .finally(() => {
+      inFlight.delete(action.id);
+      leaseRenewedAt.delete(action.id);
+      busyAgents.delete(action.agent_id);
+      if (profileId) busyProfiles.delete(profileId);
+      
+      Object.assign(slot, {
+        status: 'idle',
+        actionId: null,
+        actionType: null,
+        agentId: null,
+        profileId: null,
+        startedAt: null
+      });
+      logger.info(`[POOL] Slot ${slot.slot} is free`);
+      
+      dispatchPendingActions();
+    });
+  
+  inFlight.set(action.id, { action, promise });
+}
+
+// Hand queued actions to idle slots, keeping their lease order but skipping busy agents
+function dispatchPendingActions() {
+  if (shuttingDown) return;
+  
+  let index = 0;
+  
+  while (index < pendingActions.length) {
+    const slot = slots.find(s => s.status === 'idle');
+    if (!slot) return;
+    
+    const action = pendingActions[index];
+    if (isActionBlocked(action)) {
+      index++;
+      continue;
+    }
+    
+    pendingActions.splice(index, 1);
+    runInSlot(slot, action);
+  }
+}
+
 // ============================================
 // Main Loop
 // ============================================
 
 async function main() {
-  console.log(`Worker ${WORKER_ID} started`);
-  console.log(`Supabase URL: ${SUPABASE_URL}`);
-  console.log(`Poll interval: ${POLL_INTERVAL}ms`);
-  console.log('Mode: MULTI-AGENT (handles all agents in workspace)');
-  console.log('Browser: GoLogin Cloud Browser (remote)');
+  logger.info(`Worker ${WORKER_ID} started`);
+  logger.info(`Supabase URL: ${SUPABASE_URL}`);
+  logger.info(`Poll interval: ${POLL_INTERVAL}ms`);
+  logger.info(`Max concurrency: ${MAX_CONCURRENCY} actions (one per agent)`);
+  logger.info(`Session idle timeout: ${SESSION_IDLE_TIMEOUT}ms`);
+  logger.info('Mode: MULTI-AGENT (handles all agents in workspace)');
+  logger.info(`Browser providers: ${getAvailableProviders(browserProviders).join(', ')} (default ${BROWSER_PROVIDER})`);
+  logger.info(`Challenge rules: version ${challengeRules.version} (${Object.keys(challengeRules.locales).join(', ')})`);
+  
+  if (METRICS_PORT) {
+    startHealthServer({
+      port: METRICS_PORT,
+      host: METRICS_HOST,
+      getStatus: getWorkerStatus,
+      renderMetrics
+    });
+  }
   
   // Send initial heartbeat
   await sendHeartbeat('online');
+  mainLoopStarted = true;
+  
+  const unreported = getUnreportedActions().length;
+  if (unreported > 0) {
+    logger.warn(`[JOURNAL] ${unreported} completed action(s) were never reported, replaying`);
+  }
   
   // Main polling loop
-  while (true) {
+  while (!shuttingDown) {
     try {
+      await replayUnreportedResults();
+      
+      const busySlots = getBusySlots();
+      
       // Send heartbeat
-      await sendHeartbeat('polling');
+      await sendHeartbeat(
+        busySlots.length > 0 ? 'busy' : 'polling',
+        busySlots[0]?.actionId || null,
+        busySlots[0]?.agentId || null
+      );
       
-      // Poll for actions (from any agent)
-      const action = await pollForActions();
+      // Only lease as many actions as we can start right away. Actions queued behind a busy
+      // agent don't take capacity from other agents; that agent is left out of the poll instead.
+      const dispatchable = pendingActions.filter(action => !isActionBlocked(action)).length;
+      const capacity = MAX_CONCURRENCY - busySlots.length - dispatchable;
       
-      if (action) {
-        console.log(`Received action: ${action.action_type} (${action.id}) for agent ${action.agent_id}`);
+      if (capacity > 0) {
+        // Poll for actions (from any agent but the busy ones)
+        const waitingAgents = new Set([...busyAgents, ...pendingActions.map(action => action.agent_id)]);
+        const actions = await pollForActions(capacity, [...waitingAgents]);
         
-        // Update heartbeat with current action
-        await sendHeartbeat('busy', action.id, action.agent_id);
-        
-        try {
-          // Process the action
-          const result = await processAction(action);
-          
-          // Report success
-          await reportResult(action.id, 'completed', result);
-          actionsProcessed++;
-          
-          console.log(`Action ${action.id} completed successfully`);
-          
-        } catch (error) {
-          console.error(`Action ${action.id} failed:`, error.message);
+        for (const action of actions) {
+          logger.info(`Received action: ${action.action_type} (${action.id}) for agent ${action.agent_id}`);
           
-          // Report failure
-          await reportResult(action.id, 'failed', null, error.message);
-          actionsFailed++;
-          
-          // Update agent state if it was a login action
-          if (action.action_type === 'linkedin_login' || action.action_type === 'login') {
-            await updateAgentState(action.agent_id, 'failed', {
-              status: 'needs_reauth',
-              loginError: error.message
-            });
+          // Shutdown started while this poll was in flight
+          if (shuttingDown) {
+            await releaseAction(action, 'Worker shutting down before the action started');
+            continue;
           }
+          leaseRenewedAt.set(action.id, Date.now());
+          pendingActions.push(action);
         }
       }
       
+      dispatchPendingActions();
+      await renewQueuedLeases();
+      
     } catch (error) {
-      console.error('Main loop error:', error.message);
+      logger.error('Main loop error:', error.message);
     }
     
     // Wait before next poll
@@ -1364,21 +2677,106 @@ async function main() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Received SIGTERM, shutting down...');
-  await sendHeartbeat('offline');
-  process.exit(0);
-});
+// ============================================
+// Graceful Shutdown
+// ============================================
 
-process.on('SIGINT', async () => {
-  console.log('Received SIGINT, shutting down...');
+// Hand a claimed action back to the queue so another worker can pick it up.
+// running: the action had started (it is counted as abandoned when its slot finishes)
+async function releaseAction(action, reason, { running = false } = {}) {
+  abandonedActionIds.add(action.id);
+  leaseRenewedAt.delete(action.id);
+  if (!running) {
+    metrics.actions.inc({ action_type: action.action_type, outcome: 'released' });
+  }
+  
+  // A login handed back half-way (e.g. awaiting_2fa) starts over on the next worker
+  if (running && (action.action_type === 'linkedin_login' || action.action_type === 'login')) {
+    await updateAgentState(action.agent_id, 'idle');
+  }
+  
+  logger.info(`Releasing action ${action.id}: ${reason}`);
+  await reportResult(action.id, 'released', null, reason, {
+    releaseReason: 'shutdown'
+  });
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.info(`Received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  
+  logger.info(`Received ${signal}, shutting down...`);
+  await sendHeartbeat('draining');
+  
+  // Leased actions that never started go straight back
+  for (const action of pendingActions.splice(0)) {
+    await releaseAction(action, 'Worker shutting down before the action started');
+  }
+  
+  // Give running actions the grace period to finish on their own
+  if (inFlight.size > 0) {
+    logger.info(`Waiting up to ${SHUTDOWN_GRACE_PERIOD / 1000}s for ${inFlight.size} in-flight action(s)...`);
+    await Promise.race([
+      Promise.allSettled([...inFlight.values()].map(entry => entry.promise)),
+      new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_PERIOD))
+    ]);
+  }
+  
+  // Whatever is still running goes back to the queue - but only once its browser is gone, so
+  // no handler can still press Send after another worker has picked the action up
+  const unfinished = [...inFlight.values()];
+  for (const { action } of unfinished) {
+    abandonedActionIds.add(action.id);
+  }
+  
+  // Stop every browser profile we still hold, including GoLogin profiles still starting up
+  await sessionCache.closeAll();
+  const starting = new Map(unfinished
+    .map(entry => getBrowserTarget(entry.action))
+    .filter(target => target?.provider.abort)
+    .map(target => [target.sessionKey, target]));
+  await Promise.all([...starting.values()].map(target => target.provider.abort(target.key)));
+  
+  // Handlers that finished in the meantime have reported for themselves
+  await Promise.race([
+    Promise.allSettled(unfinished.map(entry => entry.promise)),
+    new Promise(resolve => setTimeout(resolve, SHUTDOWN_ABORT_WAIT))
+  ]);
+  for (const entry of unfinished) {
+    if (entry.outcome && entry.outcome !== 'abandoned') continue;
+    await releaseAction(entry.action, 'Worker shut down before the action finished', { running: true });
+  }
+  
   await sendHeartbeat('offline');
+  logger.info('Shutdown complete');
   process.exit(0);
-});
+}
 
-// Start the worker
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+// Handlers exercised by the offline test suite (test/)
+export {
+  callEdgeFunction,
+  updateAgentState,
+  reportResult,
+  renewLease,
+  detectChallengeType,
+  verifyLogin,
+  handleLinkedInLogin,
+  handleSendConnection,
+  handleSendMessage,
+  handleSyncInbox
+};
+
+// Only start polling when run directly, not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  
+  // Start the worker
+  main().catch(error => {
+    logger.error('Fatal error:', error);
+    process.exit(1);
+  });
+}